@@ -0,0 +1,149 @@
+// Club calendar as iCalendar (RFC 5545) feeds - events and matches become VEVENTs with a stable
+// UID and a SEQUENCE that grows on every change, so subscribed calendars pick up updates and
+// cancellations when they refresh the feed
+const CALENDAR_TIMEZONE = 'Europe/Zagreb';
+const UID_DOMAIN = 'ookfazana.hr';
+
+// Entries without an end time last this long
+const DEFAULT_DURATION_HOURS = 2;
+
+// Europe/Zagreb with the EU daylight saving rules, so clients do not need their own definition
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CALENDAR_TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19700329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19701025T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Today in the club's timezone as YYYY-MM-DD, moved by `offsetDays`
+function getLocalDate(offsetDays = 0) {
+    const today = new Date().toLocaleDateString('sv-SE', { timeZone: CALENDAR_TIMEZONE });
+    return addDays(today, offsetDays);
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Local wall-clock arithmetic - DST changes are left to the client's TZID handling
+function addHours(date, time, hours) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const result = new Date(Date.UTC(year, month - 1, day, hour + hours, minute)).toISOString();
+    return { date: result.slice(0, 10), time: result.slice(11, 19) };
+}
+
+function formatDateValue(date) {
+    return date.replace(/-/g, '');
+}
+
+function formatLocalDateTime(date, time) {
+    return `${formatDateValue(date)}T${time.replace(/:/g, '').padEnd(6, '0').slice(0, 6)}`;
+}
+
+function formatUtcDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines are folded at 75 octets without splitting a UTF-8 character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// Entry: { type, id, title, description, location, date, time, end_date, end_time, status, sequence, updated_at }.
+// Entries without a time are all-day events.
+function buildEvent(entry) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${entry.type}-${entry.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtcDateTime(entry.updated_at)}`,
+        `LAST-MODIFIED:${formatUtcDateTime(entry.updated_at)}`,
+        `SEQUENCE:${entry.sequence}`
+    ];
+
+    if (entry.time) {
+        const end = entry.end_time
+            ? { date: entry.end_date || entry.date, time: entry.end_time }
+            : addHours(entry.date, entry.time, DEFAULT_DURATION_HOURS);
+        lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatLocalDateTime(entry.date, entry.time)}`);
+        lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${formatLocalDateTime(end.date, end.time)}`);
+    } else {
+        // DTEND of an all-day event is the day after the last day
+        lines.push(`DTSTART;VALUE=DATE:${formatDateValue(entry.date)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDateValue(addDays(entry.end_date || entry.date, 1))}`);
+    }
+
+    const cancelled = entry.status === 'cancelled';
+    lines.push(`SUMMARY:${escapeText(cancelled ? `OTKAZANO: ${entry.title}` : entry.title)}`);
+    if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+    if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+    lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+// The whole feed as a string with CRLF line endings
+function buildCalendar({ name, entries }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//OOK Fazana//Kalendar//HR',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H',
+        ...VTIMEZONE,
+        ...entries.flatMap(buildEvent),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CALENDAR_TIMEZONE,
+    getLocalDate,
+    buildCalendar
+};
@@ -0,0 +1,82 @@
+// CSV export for spreadsheets - semicolon-separated with a UTF-8 byte order mark and decimal
+// commas, which is what Excel with Croatian regional settings expects - and parsing of the CSV
+// files banks and spreadsheets produce
+const DELIMITER = ';';
+const PARSE_DELIMITERS = [';', ',', '\t'];
+
+// Text starting with =, +, -, @, a tab or a carriage return, which a spreadsheet may run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Formula-like text gets a leading ' so it is shown as text; numbers are written as they are
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'number' ? String(value).replace('.', ',') : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]; rows: objects with those keys
+function buildCsv(columns, rows) {
+    const lines = [
+        columns.map(column => formatCsvValue(column.label)).join(DELIMITER),
+        ...rows.map(row => columns.map(column => formatCsvValue(row[column.key])).join(DELIMITER))
+    ];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// The delimiter used most often in the first line
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    return PARSE_DELIMITERS
+        .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// Rows of a CSV text as arrays of strings; quoted values may contain delimiters, quotes ("")
+// and line breaks. Empty lines are left out.
+function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    row.push(value);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+module.exports = {
+    buildCsv,
+    parseCsv
+};
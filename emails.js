@@ -0,0 +1,36 @@
+// Notification emails - HTML bodies built with html.js, so every submitted value is escaped
+const { html } = require('./public/html');
+
+// The notification of a new membership application; data holds the validated form fields
+// (see public/validation.js) and applicationId is the id the application was stored under
+function buildMembershipEmail(data, applicationId) {
+    return html`
+        <h2>Nova prijava za članstvo - OOK FAŽANA</h2>
+        
+        <h3>Podaci o članu</h3>
+        <p><strong>Ime i prezime:</strong> ${data['prezime-ime']}</p>
+        <p><strong>Ime i prezime roditelja:</strong> ${data['ime-prezime-roditelja']}</p>
+        <p><strong>Datum rođenja:</strong> ${data['datum-rodjenja']}</p>
+        <p><strong>Datum upisa:</strong> ${data['datum-upisa']}</p>
+        <p><strong>Državljanstvo:</strong> ${data.drzavljanstvo === 'hrvatsko' ? 'Hrvatsko' : 'Strano'}</p>
+        
+        <h3>Kontakt podaci</h3>
+        <p><strong>OIB:</strong> ${data.oib}</p>
+        <p><strong>Adresa:</strong> ${data.adresa}</p>
+        <p><strong>Telefon:</strong> ${data.telefon}</p>
+        <p><strong>E-mail:</strong> ${data.email}</p>
+        
+        ${data.napomena ? html`
+        <h3>Napomena</h3>
+        <p>${data.napomena}</p>
+        ` : ''}
+        
+        <hr>
+        <p><small>Prijava br. ${applicationId} je spremljena u CMS (kartica "Prijave").</small></p>
+        <p><small>Ova prijava je poslana putem web stranice OOK FAŽANA</small></p>
+    `.toString();
+}
+
+module.exports = {
+    buildMembershipEmail
+};
@@ -0,0 +1,76 @@
+// News feeds - the latest published articles as RSS 2.0 and Atom (RFC 4287), so feed readers and
+// other sites can follow the club's news
+const ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPE_MAP[char]);
+}
+
+// Feed: { title, description, link (the news page), feedUrl (this feed), updated, items }.
+// Item: { id, title, link, summary, content (HTML), published, updated }; dates are Date objects.
+function buildRssFeed(feed) {
+    const items = feed.items.map(item => [
+        '<item>',
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link>${escapeXml(item.link)}</link>`,
+        `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+        `<pubDate>${item.published.toUTCString()}</pubDate>`,
+        `<description>${escapeXml(item.summary)}</description>`,
+        `<content:encoded>${escapeXml(item.content)}</content:encoded>`,
+        '</item>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+        '<channel>',
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<link>${escapeXml(feed.link)}</link>`,
+        `<description>${escapeXml(feed.description)}</description>`,
+        '<language>hr</language>',
+        `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+        `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        ...items,
+        '</channel>',
+        '</rss>'
+    ].join('\n') + '\n';
+}
+
+function buildAtomFeed(feed) {
+    const entries = feed.items.map(item => [
+        '<entry>',
+        `<id>${escapeXml(item.id)}</id>`,
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+        `<published>${item.published.toISOString()}</published>`,
+        `<updated>${item.updated.toISOString()}</updated>`,
+        `<summary>${escapeXml(item.summary)}</summary>`,
+        `<content type="html">${escapeXml(item.content)}</content>`,
+        '</entry>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="hr">',
+        `<id>${escapeXml(feed.link)}</id>`,
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+        `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+        `<updated>${feed.updated.toISOString()}</updated>`,
+        `<author><name>${escapeXml(feed.title)}</name></author>`,
+        ...entries,
+        '</feed>'
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    buildRssFeed,
+    buildAtomFeed
+};
@@ -0,0 +1,111 @@
+// Result image processing - uploads are auto-rotated, stripped of EXIF metadata and stored as
+// thumbnail, display and original sizes, each as AVIF, WebP and a JPEG/PNG fallback
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Maximum width per size; the original keeps its dimensions
+const IMAGE_SIZES = {
+    thumb: 480,
+    display: 1280,
+    original: null
+};
+
+const IMAGE_FORMATS = {
+    // Low AVIF effort keeps processing a large upload to a few seconds
+    avif: { mimetype: 'image/avif', options: { quality: 50, effort: 1 } },
+    webp: { mimetype: 'image/webp', options: { quality: 80 } },
+    jpeg: { mimetype: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+    png: { mimetype: 'image/png', options: { compressionLevel: 9 } }
+};
+
+// Result tables are mostly text - PNG and GIF uploads keep a lossless fallback, everything else is JPEG
+function getFallbackFormat(inputFormat) {
+    return ['png', 'gif'].includes(inputFormat) ? 'png' : 'jpeg';
+}
+
+// Returns every variant as { size, format, mimetype, width, height, data, hash }.
+// Throws an error with code INVALID_IMAGE if the input is not an image sharp can read.
+async function processResultImage(input) {
+    const variants = [];
+
+    try {
+        // sharp drops EXIF/XMP/ICC metadata unless asked to keep it; rotate() applies the EXIF orientation first
+        const source = sharp(input).rotate();
+        const metadata = await source.metadata();
+        const fallbackFormat = getFallbackFormat(metadata.format);
+
+        for (const [size, maxWidth] of Object.entries(IMAGE_SIZES)) {
+            for (const format of ['avif', 'webp', fallbackFormat]) {
+                let pipeline = source.clone();
+                if (maxWidth) {
+                    pipeline = pipeline.resize({ width: maxWidth, withoutEnlargement: true });
+                }
+
+                const { data, info } = await pipeline
+                    .toFormat(format, IMAGE_FORMATS[format].options)
+                    .toBuffer({ resolveWithObject: true });
+
+                variants.push({
+                    size,
+                    format,
+                    mimetype: IMAGE_FORMATS[format].mimetype,
+                    width: info.width,
+                    height: info.height,
+                    data,
+                    hash: crypto.createHash('sha256').update(data).digest('hex')
+                });
+            }
+        }
+    } catch (error) {
+        const invalidImage = new Error(`Unsupported or corrupt image: ${error.message}`);
+        invalidImage.code = 'INVALID_IMAGE';
+        throw invalidImage;
+    }
+
+    return variants;
+}
+
+// Process an image and put every variant into storage under <prefix>/<uuid>/<size>.<format>
+// (results/ for gallery images, articles/ for article covers); returns the variants with their
+// storage key. Nothing is left in storage if a put fails.
+async function storeResultImage(storage, input, prefix = 'results') {
+    const variants = await processResultImage(input);
+    const folder = `${prefix}/${crypto.randomUUID()}`;
+    const stored = [];
+
+    try {
+        for (const variant of variants) {
+            variant.key = `${folder}/${variant.size}.${variant.format}`;
+            await storage.put(variant.key, variant.data, { contentType: variant.mimetype });
+            stored.push(variant);
+        }
+    } catch (error) {
+        await Promise.all(stored.map(variant => storage.remove(variant.key).catch(() => {})));
+        throw error;
+    }
+
+    return variants;
+}
+
+// The stripped original in the fallback format - the file result_images.image_key points at
+function getOriginalVariant(variants) {
+    return variants.find(variant => variant.size === 'original' && !['avif', 'webp'].includes(variant.format));
+}
+
+// Pick the best format the client announced in its Accept header - only explicit mentions count,
+// because older browsers send image/* or */* without supporting AVIF
+function negotiateImageFormat(acceptHeader) {
+    const accept = acceptHeader || '';
+    if (accept.includes('image/avif')) return 'avif';
+    if (accept.includes('image/webp')) return 'webp';
+    return 'fallback';
+}
+
+module.exports = {
+    IMAGE_SIZES,
+    IMAGE_FORMATS,
+    processResultImage,
+    storeResultImage,
+    getOriginalVariant,
+    negotiateImageFormat
+};
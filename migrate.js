@@ -0,0 +1,45 @@
+// Schema migration CLI
+//   node migrate.js up            apply all pending migrations
+//   node migrate.js down [steps]  roll back the last migration (or the last `steps`)
+//   node migrate.js status        list applied and pending migrations
+require('dotenv').config();
+const { createPool } = require('./database');
+const { migrate, rollback, getStatus } = require('./migrator');
+
+async function main() {
+    const [command = 'up', argument] = process.argv.slice(2);
+    const db = createPool();
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrate(db);
+                console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+                break;
+            }
+            case 'down': {
+                const steps = parseInt(argument, 10) || 1;
+                const reverted = await rollback(db, steps);
+                console.log(reverted.length > 0 ? `Rolled back ${reverted.length} migration(s)` : 'No migrations to roll back');
+                break;
+            }
+            case 'status': {
+                const status = await getStatus(db);
+                status.applied.forEach(version => console.log(`  applied  ${version}`));
+                status.pending.forEach(version => console.log(`  pending  ${version}`));
+                status.unknown.forEach(version => console.log(`  unknown  ${version} (no migration file)`));
+                break;
+            }
+            default:
+                console.error('Usage: node migrate.js [up | down [steps] | status]');
+                process.exitCode = 1;
+        }
+    } finally {
+        await db.end();
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+// Results, documents and admin users. Installations still on the old file path schema
+// (image_path / file_path) are converted to BLOBs: every file that can still be read is
+// copied into the new table and the old table is kept as results_legacy / documents_legacy.
+const fs = require('fs');
+const path = require('path');
+const { tableExists, getColumnNames } = require('../database');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf'
+};
+
+// Old paths were stored relative to the project root or to public/
+function readLegacyFile(filePath) {
+    const candidates = path.isAbsolute(filePath)
+        ? [filePath]
+        : [path.join(PROJECT_ROOT, filePath), path.join(PROJECT_ROOT, 'public', filePath)];
+
+    for (const candidate of candidates) {
+        if (fs.existsSync(candidate)) {
+            return fs.readFileSync(candidate);
+        }
+    }
+    return null;
+}
+
+function getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+async function createResultsTable(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS results (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            year VARCHAR(10) NOT NULL,
+            image_data LONGBLOB NOT NULL,
+            image_filename VARCHAR(255) NOT NULL,
+            image_mimetype VARCHAR(100) NOT NULL,
+            description TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_category_year (category, year)
+        )
+    `);
+}
+
+async function createDocumentsTable(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS documents (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(255) NOT NULL,
+            category VARCHAR(50) NOT NULL,
+            file_data LONGBLOB NOT NULL,
+            file_filename VARCHAR(255) NOT NULL,
+            file_mimetype VARCHAR(100) NOT NULL,
+            description TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function convertLegacyResults(db) {
+    const columns = await getColumnNames(db, 'results');
+    if (!columns.includes('image_path') || columns.includes('image_data')) return;
+
+    console.log('Converting results from file paths to BLOBs (old table kept as results_legacy)...');
+    await db.execute('RENAME TABLE results TO results_legacy');
+    await createResultsTable(db);
+
+    const [rows] = await db.execute('SELECT * FROM results_legacy');
+    for (const row of rows) {
+        const data = readLegacyFile(row.image_path);
+        if (!data) {
+            console.warn(`Result ${row.id}: file ${row.image_path} not found - left in results_legacy`);
+            continue;
+        }
+        await db.execute(
+            'INSERT INTO results (id, category, year, image_data, image_filename, image_mimetype, description, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [row.id, row.category, row.year, data, path.basename(row.image_path), getMimeType(row.image_path), row.description || null, row.created_at || new Date()]
+        );
+    }
+}
+
+async function convertLegacyDocuments(db) {
+    const columns = await getColumnNames(db, 'documents');
+    if (!columns.includes('file_path') || columns.includes('file_data')) return;
+
+    console.log('Converting documents from file paths to BLOBs (old table kept as documents_legacy)...');
+    await db.execute('RENAME TABLE documents TO documents_legacy');
+    await createDocumentsTable(db);
+
+    const [rows] = await db.execute('SELECT * FROM documents_legacy');
+    for (const row of rows) {
+        const data = readLegacyFile(row.file_path);
+        if (!data) {
+            console.warn(`Document ${row.id}: file ${row.file_path} not found - left in documents_legacy`);
+            continue;
+        }
+        await db.execute(
+            'INSERT INTO documents (id, title, category, file_data, file_filename, file_mimetype, description, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [row.id, row.title, row.category, data, path.basename(row.file_path), getMimeType(row.file_path), row.description || null, row.created_at || new Date()]
+        );
+    }
+}
+
+async function up(db) {
+    if (await tableExists(db, 'results')) {
+        await convertLegacyResults(db);
+    }
+    if (await tableExists(db, 'documents')) {
+        await convertLegacyDocuments(db);
+    }
+
+    await createResultsTable(db);
+    await createDocumentsTable(db);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS admin_users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS admin_users');
+    await db.execute('DROP TABLE IF EXISTS documents');
+    await db.execute('DROP TABLE IF EXISTS results');
+
+    // Put back the untouched path-based tables of a converted installation
+    if (await tableExists(db, 'documents_legacy')) {
+        await db.execute('RENAME TABLE documents_legacy TO documents');
+    }
+    if (await tableExists(db, 'results_legacy')) {
+        await db.execute('RENAME TABLE results_legacy TO results');
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// Roles and account state for CMS users
+const { addColumnIfMissing, dropColumnIfExists } = require('../database');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'admin_users', 'role', "ENUM('admin', 'editor', 'membership') NOT NULL DEFAULT 'admin'");
+    await addColumnIfMissing(db, 'admin_users', 'active', 'BOOLEAN NOT NULL DEFAULT TRUE');
+    await addColumnIfMissing(db, 'admin_users', 'must_change_password', 'BOOLEAN NOT NULL DEFAULT FALSE');
+    await addColumnIfMissing(db, 'admin_users', 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'admin_users', 'updated_at');
+    await dropColumnIfExists(db, 'admin_users', 'must_change_password');
+    await dropColumnIfExists(db, 'admin_users', 'active');
+    await dropColumnIfExists(db, 'admin_users', 'role');
+}
+
+module.exports = { up, down };
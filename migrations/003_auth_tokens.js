@@ -0,0 +1,29 @@
+// Refresh tokens (only SHA-256 hashes of the cookie values) and revoked access tokens
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_token_hash (token_hash),
+            FOREIGN KEY (user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS revoked_tokens (
+            jti VARCHAR(64) PRIMARY KEY,
+            expires_at DATETIME NOT NULL
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS revoked_tokens');
+    await db.execute('DROP TABLE IF EXISTS refresh_tokens');
+}
+
+module.exports = { up, down };
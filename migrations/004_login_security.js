@@ -0,0 +1,34 @@
+// Login attempts (every failed and successful login) and temporary lockouts
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(255) NOT NULL,
+            ip_address VARCHAR(45) NOT NULL,
+            success BOOLEAN NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_username_created (username, created_at),
+            INDEX idx_ip_created (ip_address, created_at)
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS login_lockouts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            type ENUM('username', 'ip') NOT NULL,
+            identifier VARCHAR(255) NOT NULL,
+            failed_count INT NOT NULL,
+            locked_until DATETIME NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_lockout (type, identifier)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS login_lockouts');
+    await db.execute('DROP TABLE IF EXISTS login_attempts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Membership applications from the public form and the member registry
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS membership_applications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            full_name VARCHAR(255) NOT NULL,
+            parent_name VARCHAR(255),
+            birth_date DATE,
+            enrollment_date DATE,
+            citizenship VARCHAR(20),
+            oib VARCHAR(11),
+            address VARCHAR(255),
+            phone VARCHAR(50),
+            email VARCHAR(255),
+            note TEXT,
+            status ENUM('new', 'contacted', 'accepted', 'rejected') NOT NULL DEFAULT 'new',
+            email_sent BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_status (status)
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS members (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            full_name VARCHAR(255) NOT NULL,
+            parent_name VARCHAR(255),
+            birth_date DATE,
+            oib VARCHAR(11),
+            address VARCHAR(255),
+            phone VARCHAR(50),
+            email VARCHAR(255),
+            category VARCHAR(50) NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            application_id INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_oib (oib),
+            INDEX idx_category (category),
+            FOREIGN KEY (application_id) REFERENCES membership_applications(id) ON DELETE SET NULL
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS members');
+    await db.execute('DROP TABLE IF EXISTS membership_applications');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Audit log of CMS changes
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT,
+            username VARCHAR(50) NOT NULL,
+            action VARCHAR(50) NOT NULL,
+            entity_type VARCHAR(50) NOT NULL,
+            entity_id VARCHAR(64),
+            ip_address VARCHAR(45),
+            before_data JSON,
+            after_data JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_entity (entity_type, entity_id),
+            INDEX idx_user (user_id),
+            INDEX idx_created (created_at)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// Deleted results and documents stay in the trash until restored or purged.
+// Rolling back makes trashed items visible again instead of deleting them.
+const { addColumnIfMissing, dropColumnIfExists } = require('../database');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'results', 'deleted_at', 'TIMESTAMP NULL DEFAULT NULL');
+    await addColumnIfMissing(db, 'documents', 'deleted_at', 'TIMESTAMP NULL DEFAULT NULL');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'documents', 'deleted_at');
+    await dropColumnIfExists(db, 'results', 'deleted_at');
+}
+
+module.exports = { up, down };
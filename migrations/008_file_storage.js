@@ -0,0 +1,78 @@
+// Move result images and document PDFs out of LONGBLOB columns into the configured storage
+// (STORAGE_DRIVER). The tables keep only the storage key and the file size. Rows are moved one
+// at a time, so a failed run can simply be repeated - rows that already have a key are skipped.
+const crypto = require('crypto');
+const path = require('path');
+const { addColumnIfMissing, dropColumnIfExists, getColumnNames } = require('../database');
+const { createStorage } = require('../storage');
+
+const FILE_TABLES = [
+    { table: 'results', prefix: 'image', folder: 'results' },
+    { table: 'documents', prefix: 'file', folder: 'documents' }
+];
+
+function createKey(folder, filename) {
+    const extension = path.extname(filename || '').toLowerCase();
+    return `${folder}/${crypto.randomUUID()}${/^\.[a-z0-9]{1,5}$/.test(extension) ? extension : ''}`;
+}
+
+async function up(db) {
+    const storage = createStorage();
+
+    for (const { table, prefix, folder } of FILE_TABLES) {
+        await addColumnIfMissing(db, table, `${prefix}_key`, 'VARCHAR(255) NULL');
+        await addColumnIfMissing(db, table, `${prefix}_size`, 'BIGINT NULL');
+
+        const columns = await getColumnNames(db, table);
+        if (columns.includes(`${prefix}_data`)) {
+            const [rows] = await db.execute(`SELECT id FROM ${table} WHERE ${prefix}_key IS NULL`);
+            console.log(`Moving ${rows.length} ${table} file(s) to ${storage.driver} storage...`);
+
+            for (const { id } of rows) {
+                const [[row]] = await db.execute(
+                    `SELECT ${prefix}_data AS data, ${prefix}_filename AS filename, ${prefix}_mimetype AS mimetype FROM ${table} WHERE id = ?`,
+                    [id]
+                );
+                const key = createKey(folder, row.filename);
+                await storage.put(key, row.data, { contentType: row.mimetype });
+                await db.execute(
+                    `UPDATE ${table} SET ${prefix}_key = ?, ${prefix}_size = ? WHERE id = ?`,
+                    [key, row.data.length, id]
+                );
+            }
+
+            await dropColumnIfExists(db, table, `${prefix}_data`);
+        }
+
+        await db.execute(`ALTER TABLE ${table} MODIFY ${prefix}_key VARCHAR(255) NOT NULL, MODIFY ${prefix}_size BIGINT NOT NULL`);
+    }
+}
+
+// Copy the files back into BLOB columns; the stored files are left in place
+async function down(db) {
+    const storage = createStorage();
+
+    for (const { table, prefix } of FILE_TABLES) {
+        await addColumnIfMissing(db, table, `${prefix}_data`, 'LONGBLOB NULL');
+
+        const [rows] = await db.execute(`SELECT id, ${prefix}_key AS storage_key FROM ${table} WHERE ${prefix}_data IS NULL`);
+        for (const { id, storage_key } of rows) {
+            const file = await storage.get(storage_key);
+            if (!file) {
+                throw new Error(`${table} ${id}: stored file ${storage_key} not found`);
+            }
+
+            const chunks = [];
+            for await (const chunk of file.stream) {
+                chunks.push(chunk);
+            }
+            await db.execute(`UPDATE ${table} SET ${prefix}_data = ? WHERE id = ?`, [Buffer.concat(chunks), id]);
+        }
+
+        await db.execute(`ALTER TABLE ${table} MODIFY ${prefix}_data LONGBLOB NOT NULL`);
+        await dropColumnIfExists(db, table, `${prefix}_size`);
+        await dropColumnIfExists(db, table, `${prefix}_key`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// SHA-256 content hashes of stored files - used as strong ETags and as the cache-busting
+// version in file URLs. Hashes of existing files are computed by reading them from storage.
+const crypto = require('crypto');
+const { addColumnIfMissing, dropColumnIfExists } = require('../database');
+const { createStorage } = require('../storage');
+
+const FILE_TABLES = [
+    { table: 'results', prefix: 'image' },
+    { table: 'documents', prefix: 'file' }
+];
+
+async function up(db) {
+    const storage = createStorage();
+
+    for (const { table, prefix } of FILE_TABLES) {
+        await addColumnIfMissing(db, table, `${prefix}_hash`, 'CHAR(64) NULL');
+
+        const [rows] = await db.execute(`SELECT id, ${prefix}_key AS storage_key FROM ${table} WHERE ${prefix}_hash IS NULL`);
+        for (const { id, storage_key } of rows) {
+            const file = await storage.get(storage_key);
+            if (!file) {
+                throw new Error(`${table} ${id}: stored file ${storage_key} not found`);
+            }
+
+            const hash = crypto.createHash('sha256');
+            for await (const chunk of file.stream) {
+                hash.update(chunk);
+            }
+            await db.execute(`UPDATE ${table} SET ${prefix}_hash = ? WHERE id = ?`, [hash.digest('hex'), id]);
+        }
+
+        await db.execute(`ALTER TABLE ${table} MODIFY ${prefix}_hash CHAR(64) NOT NULL`);
+    }
+}
+
+async function down(db) {
+    for (const { table, prefix } of FILE_TABLES) {
+        await dropColumnIfExists(db, table, `${prefix}_hash`);
+    }
+}
+
+module.exports = { up, down };
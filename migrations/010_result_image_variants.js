@@ -0,0 +1,82 @@
+// Resized and re-encoded variants of result images (see images.js). Existing images are processed
+// now: their variants are stored, and the original upload is replaced by the stripped original
+// variant so EXIF metadata is no longer served.
+const { withTransaction } = require('../database');
+const { createStorage } = require('../storage');
+const { storeResultImage, getOriginalVariant } = require('../images');
+
+async function up(db) {
+    const storage = createStorage();
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS result_image_variants (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            result_id INT NOT NULL,
+            size ENUM('thumb', 'display', 'original') NOT NULL,
+            format VARCHAR(10) NOT NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            mimetype VARCHAR(100) NOT NULL,
+            width INT NOT NULL,
+            height INT NOT NULL,
+            file_size BIGINT NOT NULL,
+            file_hash CHAR(64) NOT NULL,
+            UNIQUE KEY unique_variant (result_id, size, format),
+            FOREIGN KEY (result_id) REFERENCES results(id) ON DELETE CASCADE
+        )
+    `);
+
+    const [rows] = await db.execute(`
+        SELECT id, image_key FROM results
+        WHERE id NOT IN (SELECT DISTINCT result_id FROM result_image_variants)
+    `);
+    console.log(`Processing ${rows.length} result image(s)...`);
+
+    for (const { id, image_key } of rows) {
+        const file = await storage.get(image_key);
+        if (!file) {
+            throw new Error(`Result ${id}: stored image ${image_key} not found`);
+        }
+
+        const chunks = [];
+        for await (const chunk of file.stream) {
+            chunks.push(chunk);
+        }
+
+        const variants = await storeResultImage(storage, Buffer.concat(chunks));
+        const original = getOriginalVariant(variants);
+
+        // Variant rows and the new original are recorded together, so a failed run reprocesses the image
+        await withTransaction(db, async (connection) => {
+            for (const variant of variants) {
+                await connection.execute(
+                    'INSERT INTO result_image_variants (result_id, size, format, storage_key, mimetype, width, height, file_size, file_hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [id, variant.size, variant.format, variant.key, variant.mimetype, variant.width, variant.height, variant.data.length, variant.hash]
+                );
+            }
+            await connection.execute(
+                'UPDATE results SET image_key = ?, image_size = ?, image_hash = ?, image_mimetype = ? WHERE id = ?',
+                [original.key, original.data.length, original.hash, original.mimetype, id]
+            );
+        });
+
+        await storage.remove(image_key);
+    }
+}
+
+// The results keep pointing at their stripped original; the other variant files are removed
+async function down(db) {
+    const storage = createStorage();
+
+    const [variants] = await db.execute(`
+        SELECT v.storage_key FROM result_image_variants v
+        JOIN results r ON r.id = v.result_id
+        WHERE v.storage_key <> r.image_key
+    `);
+    for (const { storage_key } of variants) {
+        await storage.remove(storage_key);
+    }
+
+    await db.execute('DROP TABLE IF EXISTS result_image_variants');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,139 @@
+// Result galleries - a result (one per category and season) holds an ordered list of images with
+// captions. The image columns move from results to result_images, and the image variants now
+// belong to an image instead of a result. Every existing result becomes a one-image gallery.
+const { addColumnIfMissing, dropColumnIfExists, getColumnNames } = require('../database');
+const { createStorage } = require('../storage');
+
+const IMAGE_COLUMNS = ['image_key', 'image_size', 'image_hash', 'image_filename', 'image_mimetype'];
+
+// Name of the foreign key from `table` to `referencedTable` (MySQL generates it)
+async function getForeignKeyName(db, table, referencedTable) {
+    const [rows] = await db.execute(
+        `SELECT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND REFERENCED_TABLE_NAME = ?`,
+        [table, referencedTable]
+    );
+    return rows.length > 0 ? rows[0].name : null;
+}
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS result_images (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            result_id INT NOT NULL,
+            position INT NOT NULL DEFAULT 0,
+            caption VARCHAR(255) NULL,
+            image_key VARCHAR(255) NOT NULL,
+            image_size BIGINT NOT NULL,
+            image_hash CHAR(64) NOT NULL,
+            image_filename VARCHAR(255) NOT NULL,
+            image_mimetype VARCHAR(100) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_result_position (result_id, position),
+            FOREIGN KEY (result_id) REFERENCES results(id) ON DELETE CASCADE
+        )
+    `);
+
+    if ((await getColumnNames(db, 'results')).includes('image_key')) {
+        await db.execute(`
+            INSERT INTO result_images (result_id, position, image_key, image_size, image_hash, image_filename, image_mimetype, created_at, updated_at)
+            SELECT id, 0, image_key, image_size, image_hash, image_filename, image_mimetype, created_at, updated_at FROM results
+            WHERE id NOT IN (SELECT result_id FROM result_images)
+        `);
+    }
+
+    const variantColumns = await getColumnNames(db, 'result_image_variants');
+    if (variantColumns.includes('result_id')) {
+        await addColumnIfMissing(db, 'result_image_variants', 'result_image_id', 'INT NULL');
+        await db.execute(`
+            UPDATE result_image_variants v JOIN result_images i ON i.result_id = v.result_id
+            SET v.result_image_id = i.id
+        `);
+
+        const foreignKey = await getForeignKeyName(db, 'result_image_variants', 'results');
+        if (foreignKey) {
+            await db.execute(`ALTER TABLE result_image_variants DROP FOREIGN KEY ${foreignKey}`);
+        }
+        await db.execute('ALTER TABLE result_image_variants DROP INDEX unique_variant');
+        await dropColumnIfExists(db, 'result_image_variants', 'result_id');
+        await db.execute(`
+            ALTER TABLE result_image_variants
+            MODIFY result_image_id INT NOT NULL,
+            ADD UNIQUE KEY unique_variant (result_image_id, size, format),
+            ADD FOREIGN KEY (result_image_id) REFERENCES result_images(id) ON DELETE CASCADE
+        `);
+    }
+
+    for (const column of IMAGE_COLUMNS) {
+        await dropColumnIfExists(db, 'results', column);
+    }
+}
+
+// Each result keeps its first image; the files of the other gallery images are removed
+async function down(db) {
+    const storage = createStorage();
+
+    const [resultsWithoutImages] = await db.execute('SELECT id FROM results WHERE id NOT IN (SELECT result_id FROM result_images)');
+    if (resultsWithoutImages.length > 0) {
+        throw new Error(`Results without images cannot be rolled back: ${resultsWithoutImages.map(row => row.id).join(', ')}`);
+    }
+
+    await addColumnIfMissing(db, 'results', 'image_key', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(db, 'results', 'image_size', 'BIGINT NULL');
+    await addColumnIfMissing(db, 'results', 'image_hash', 'CHAR(64) NULL');
+    await addColumnIfMissing(db, 'results', 'image_filename', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(db, 'results', 'image_mimetype', 'VARCHAR(100) NULL');
+
+    const [images] = await db.execute('SELECT id, result_id, image_key FROM result_images ORDER BY result_id, position, id');
+    const covers = new Map();
+    images.forEach(image => {
+        if (!covers.has(image.result_id)) covers.set(image.result_id, image.id);
+    });
+
+    await db.execute(`
+        UPDATE results r JOIN result_images i ON i.result_id = r.id
+        SET r.image_key = i.image_key, r.image_size = i.image_size, r.image_hash = i.image_hash,
+            r.image_filename = i.image_filename, r.image_mimetype = i.image_mimetype
+        WHERE i.id IN (${[...covers.values()].join(', ') || 'NULL'})
+    `);
+
+    // Variants of the removed images go with them; the covers' variants move back to their result
+    const removed = images.filter(image => covers.get(image.result_id) !== image.id);
+    for (const image of removed) {
+        const [variants] = await db.execute('SELECT storage_key FROM result_image_variants WHERE result_image_id = ?', [image.id]);
+        for (const { storage_key } of variants) {
+            await storage.remove(storage_key);
+        }
+        await db.execute('DELETE FROM result_image_variants WHERE result_image_id = ?', [image.id]);
+        await storage.remove(image.image_key);
+    }
+
+    await addColumnIfMissing(db, 'result_image_variants', 'result_id', 'INT NULL');
+    await db.execute(`
+        UPDATE result_image_variants v JOIN result_images i ON i.id = v.result_image_id
+        SET v.result_id = i.result_id
+    `);
+
+    const foreignKey = await getForeignKeyName(db, 'result_image_variants', 'result_images');
+    if (foreignKey) {
+        await db.execute(`ALTER TABLE result_image_variants DROP FOREIGN KEY ${foreignKey}`);
+    }
+    await db.execute('ALTER TABLE result_image_variants DROP INDEX unique_variant');
+    await dropColumnIfExists(db, 'result_image_variants', 'result_image_id');
+    await db.execute(`
+        ALTER TABLE result_image_variants
+        MODIFY result_id INT NOT NULL,
+        ADD UNIQUE KEY unique_variant (result_id, size, format),
+        ADD FOREIGN KEY (result_id) REFERENCES results(id) ON DELETE CASCADE
+    `);
+
+    await db.execute(`
+        ALTER TABLE results
+        MODIFY image_key VARCHAR(255) NOT NULL, MODIFY image_size BIGINT NOT NULL, MODIFY image_hash CHAR(64) NOT NULL,
+        MODIFY image_filename VARCHAR(255) NOT NULL, MODIFY image_mimetype VARCHAR(100) NOT NULL
+    `);
+    await db.execute('DROP TABLE IF EXISTS result_images');
+}
+
+module.exports = { up, down };
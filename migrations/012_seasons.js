@@ -0,0 +1,40 @@
+// Seasons - the results pages and the navigation are built from this table instead of
+// hardcoded pages. results.year holds the season's starting year and must name a season.
+const { getSeasonLabel, getSeasonSlug, isValidSeasonYear } = require('../public/seasons');
+
+// Seasons that had their own rezultati-<year>.html page
+const DEFAULT_SEASON_YEARS = ['2022', '2023', '2024'];
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS seasons (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            year VARCHAR(10) NOT NULL UNIQUE,
+            label VARCHAR(20) NOT NULL,
+            slug VARCHAR(20) NOT NULL UNIQUE,
+            published BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Every year that already has results becomes a season, so the foreign key below holds
+    const [rows] = await db.execute('SELECT DISTINCT year FROM results');
+    const years = new Set([...DEFAULT_SEASON_YEARS, ...rows.map(row => row.year)]);
+    for (const year of years) {
+        const label = isValidSeasonYear(year) ? getSeasonLabel(year) : year;
+        await db.execute('INSERT IGNORE INTO seasons (year, label, slug) VALUES (?, ?, ?)', [year, label, getSeasonSlug(label)]);
+    }
+
+    await db.execute(`
+        ALTER TABLE results
+        ADD CONSTRAINT fk_results_season FOREIGN KEY (year) REFERENCES seasons(year)
+    `);
+}
+
+async function down(db) {
+    await db.execute('ALTER TABLE results DROP FOREIGN KEY fk_results_season');
+    await db.execute('DROP TABLE IF EXISTS seasons');
+}
+
+module.exports = { up, down };
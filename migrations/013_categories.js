@@ -0,0 +1,73 @@
+// Categories - teams (results, members) and document types are kept in one table instead of
+// being hardcoded in every page. results, documents and members refer to a category by its slug.
+const { getCategorySlug, isValidCategorySlug } = require('../public/categories');
+
+const DEFAULT_CATEGORIES = [
+    { type: 'team', slug: 'mini-odbojka', name: 'Mini Odbojka', sort_order: 1 },
+    { type: 'team', slug: 'djevojcice', name: 'Djevojčice', sort_order: 2 },
+    { type: 'team', slug: 'mlade-kadetkinje', name: 'Mlađe Kadetkinje', sort_order: 3 },
+    { type: 'document', slug: 'statut', name: 'Statut kluba', sort_order: 1 },
+    { type: 'document', slug: 'prijave', name: 'Izvještaji i odluke', sort_order: 2 },
+    { type: 'document', slug: 'pravilnici', name: 'Pravilnici', sort_order: 3 },
+    { type: 'document', slug: 'ostalo', name: 'Ostali dokumenti', sort_order: 4 }
+];
+
+// Document categories the old pages used for "other documents"
+const LEGACY_OTHER_DOCUMENT_CATEGORIES = ['general', 'ostali'];
+
+const REFERENCING_TABLES = [
+    { table: 'results', type: 'team', constraint: 'fk_results_category' },
+    { table: 'members', type: 'team', constraint: 'fk_members_category' },
+    { table: 'documents', type: 'document', constraint: 'fk_documents_category' }
+];
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS categories (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            type ENUM('team', 'document') NOT NULL,
+            slug VARCHAR(50) NOT NULL UNIQUE,
+            name VARCHAR(100) NOT NULL,
+            sort_order INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_type_order (type, sort_order)
+        )
+    `);
+
+    for (const { type, slug, name, sort_order } of DEFAULT_CATEGORIES) {
+        await db.execute('INSERT IGNORE INTO categories (type, slug, name, sort_order) VALUES (?, ?, ?, ?)', [type, slug, name, sort_order]);
+    }
+
+    await db.execute(
+        `UPDATE documents SET category = 'ostalo' WHERE category IN (${LEGACY_OTHER_DOCUMENT_CATEGORIES.map(() => '?').join(', ')})`,
+        LEGACY_OTHER_DOCUMENT_CATEGORIES
+    );
+
+    // Any other category already in use is kept under its own name, so the foreign keys below hold.
+    // Keys that are not valid slugs are renamed first.
+    for (const { table, type } of REFERENCING_TABLES) {
+        const [rows] = await db.execute(`SELECT DISTINCT category FROM ${table} WHERE category NOT IN (SELECT slug FROM categories)`);
+        for (const { category } of rows) {
+            const slug = isValidCategorySlug(category) ? category : (getCategorySlug(category) || 'ostalo');
+            await db.execute('INSERT IGNORE INTO categories (type, slug, name, sort_order) VALUES (?, ?, ?, 100)', [type, slug, category.slice(0, 100)]);
+            if (slug !== category) {
+                await db.execute(`UPDATE ${table} SET category = ? WHERE category = ?`, [slug, category]);
+            }
+        }
+    }
+
+    for (const { table, constraint } of REFERENCING_TABLES) {
+        await db.execute(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} FOREIGN KEY (category) REFERENCES categories(slug)`);
+    }
+}
+
+// Documents moved from general/ostali to ostalo stay there
+async function down(db) {
+    for (const { table, constraint } of REFERENCING_TABLES) {
+        await db.execute(`ALTER TABLE ${table} DROP FOREIGN KEY ${constraint}`);
+    }
+    await db.execute('DROP TABLE IF EXISTS categories');
+}
+
+module.exports = { up, down };
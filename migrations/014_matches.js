@@ -0,0 +1,31 @@
+// Matches - fixtures and results of league matches per team and season; the league tables
+// (/api/standings) are computed from the played matches. The date and the local start time are
+// separate columns, so they are returned as entered (the time is often unknown for fixtures).
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS matches (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            year VARCHAR(10) NOT NULL,
+            match_date DATE NOT NULL,
+            match_time TIME NULL,
+            venue VARCHAR(255) NULL,
+            home_team VARCHAR(100) NOT NULL,
+            away_team VARCHAR(100) NOT NULL,
+            home_sets TINYINT NULL,
+            away_sets TINYINT NULL,
+            set_scores VARCHAR(100) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_category_year_date (category, year, match_date),
+            CONSTRAINT fk_matches_category FOREIGN KEY (category) REFERENCES categories(slug),
+            CONSTRAINT fk_matches_season FOREIGN KEY (year) REFERENCES seasons(year)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS matches');
+}
+
+module.exports = { up, down };
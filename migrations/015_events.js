@@ -0,0 +1,35 @@
+// Club calendar - events (tournaments, camps, meetings) for one team or the whole club, shown
+// with the matches on the homepage and in the .ics feeds. `sequence` counts the changes of an
+// event or match, which tells subscribed calendars to replace their copy.
+const { addColumnIfMissing, dropColumnIfExists } = require('../database');
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS events (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NULL,
+            title VARCHAR(200) NOT NULL,
+            description TEXT NULL,
+            location VARCHAR(255) NULL,
+            start_date DATE NOT NULL,
+            start_time TIME NULL,
+            end_date DATE NULL,
+            end_time TIME NULL,
+            status ENUM('scheduled', 'cancelled') NOT NULL DEFAULT 'scheduled',
+            sequence INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_start (start_date, start_time),
+            CONSTRAINT fk_events_category FOREIGN KEY (category) REFERENCES categories(slug)
+        )
+    `);
+
+    await addColumnIfMissing(db, 'matches', 'sequence', 'INT NOT NULL DEFAULT 0');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'matches', 'sequence');
+    await db.execute('DROP TABLE IF EXISTS events');
+}
+
+module.exports = { up, down };
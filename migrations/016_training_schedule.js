@@ -0,0 +1,62 @@
+// Training schedule - weekly training slots per group and temporary exceptions (e.g. holidays)
+// that cancel one slot or every training for a range of dates. Seeded with the table that was
+// hardcoded in contact.html.
+const DEFAULT_SLOTS = [
+    ['Škola odbojke', 2, '16:00', '17:00', 1],
+    ['Škola odbojke', 4, '16:00', '17:00', 1],
+    ['Mini odbojka', 2, '16:45', '18:00', 2],
+    ['Mini odbojka', 4, '16:45', '18:00', 2],
+    ['Mini odbojka', 5, '16:00', '17:15', 2],
+    ['Mala odbojka', 2, '17:30', '19:00', 3],
+    ['Mala odbojka', 4, '17:30', '19:00', 3],
+    ['Mala odbojka', 5, '16:45', '18:30', 3]
+];
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS training_slots (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            group_name VARCHAR(100) NOT NULL,
+            weekday TINYINT NOT NULL,
+            start_time TIME NOT NULL,
+            end_time TIME NOT NULL,
+            hall VARCHAR(255) NULL,
+            coach VARCHAR(100) NULL,
+            sort_order INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_weekday (weekday, start_time)
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS training_exceptions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            slot_id INT NULL,
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            note VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_dates (end_date, start_date),
+            FOREIGN KEY (slot_id) REFERENCES training_slots(id) ON DELETE CASCADE
+        )
+    `);
+
+    const [[{ count }]] = await db.execute('SELECT COUNT(*) AS count FROM training_slots');
+    if (count === 0) {
+        for (const slot of DEFAULT_SLOTS) {
+            await db.execute(
+                'INSERT INTO training_slots (group_name, weekday, start_time, end_time, sort_order) VALUES (?, ?, ?, ?, ?)',
+                slot
+            );
+        }
+    }
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS training_exceptions');
+    await db.execute('DROP TABLE IF EXISTS training_slots');
+}
+
+module.exports = { up, down };
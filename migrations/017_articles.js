@@ -0,0 +1,44 @@
+// News articles - title, slug, body (see public/articles.js for the format), an optional cover image
+// and a publish date. A published article with a future publish date is scheduled and stays hidden
+// until then. Cover images are stored as variants like result images (see images.js).
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS articles (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(200) NOT NULL,
+            slug VARCHAR(100) NOT NULL UNIQUE,
+            body MEDIUMTEXT NOT NULL,
+            status ENUM('draft', 'published') NOT NULL DEFAULT 'draft',
+            published_at DATETIME NULL,
+            cover_hash CHAR(64) NULL,
+            cover_filename VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_status_published (status, published_at)
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS article_cover_variants (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            article_id INT NOT NULL,
+            size ENUM('thumb', 'display', 'original') NOT NULL,
+            format VARCHAR(10) NOT NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            mimetype VARCHAR(100) NOT NULL,
+            width INT NOT NULL,
+            height INT NOT NULL,
+            file_size BIGINT NOT NULL,
+            file_hash CHAR(64) NOT NULL,
+            UNIQUE KEY unique_variant (article_id, size, format),
+            FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS article_cover_variants');
+    await db.execute('DROP TABLE IF EXISTS articles');
+}
+
+module.exports = { up, down };
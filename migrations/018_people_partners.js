@@ -0,0 +1,115 @@
+// People and partners - coaches and board members for treneri.html and uprava.html, and the
+// club's partners for prijatelji.html, each with an optional photo or logo stored as variants like
+// result images (see images.js). Seeded with the lists that were hardcoded in those pages.
+const COACH_TEAMS = {
+    'Škola odbojke': ['Josipa Zelenika', 'Iva Ivanović'],
+    'Mini odbojka (U11), Mala odbojka (U13), Mlađe kadetkinje (U15)': ['Marina Boljunčić', 'Dragan Rojnić']
+};
+
+const BOARD_ROLES = {
+    'Predsjednica': ['Iva Ivanović'],
+    'Tajnik': ['Ivan Cetina'],
+    'Upravni odbor': ['Iva Ivanović', 'Josipa Zelenika', 'Stefano Ljubešić', 'Dragan Rojnić', 'Mihaela Petrić']
+};
+
+const DEFAULT_PARTNERS = [
+    ['Libarna d.o.o.', 'https://www.libarna.hr/'],
+    ['GT Net', 'https://www.gtnet.hr/'],
+    ['Pizzeria Fiorelli', 'https://pizzeria-fiorelli.com/'],
+    ['Aurea d.o.o.', 'https://www.aurea.hr/'],
+    ['Kolijevka kruha', 'https://kolijevka-kruha.hr/'],
+    ['Čelio', 'https://www.fininfo.hr/Poduzece/Pregled/celio-obrt-za-prijevoz-tereta-vl-tanis-lusetic/Detaljno/285482']
+];
+
+// Same columns as article_cover_variants
+function createImageVariantsTable(variantTable, ownerTable, ownerKey) {
+    return `
+        CREATE TABLE IF NOT EXISTS ${variantTable} (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            ${ownerKey} INT NOT NULL,
+            size ENUM('thumb', 'display', 'original') NOT NULL,
+            format VARCHAR(10) NOT NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            mimetype VARCHAR(100) NOT NULL,
+            width INT NOT NULL,
+            height INT NOT NULL,
+            file_size BIGINT NOT NULL,
+            file_hash CHAR(64) NOT NULL,
+            UNIQUE KEY unique_variant (${ownerKey}, size, format),
+            FOREIGN KEY (${ownerKey}) REFERENCES ${ownerTable}(id) ON DELETE CASCADE
+        )
+    `;
+}
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS people (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            type ENUM('coach', 'board') NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            role VARCHAR(100) NULL,
+            team VARCHAR(255) NULL,
+            bio TEXT NULL,
+            link VARCHAR(255) NULL,
+            sort_order INT NOT NULL DEFAULT 0,
+            photo_hash CHAR(64) NULL,
+            photo_filename VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_type_order (type, sort_order)
+        )
+    `);
+    await db.execute(createImageVariantsTable('person_photo_variants', 'people', 'person_id'));
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS partners (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            description TEXT NULL,
+            link VARCHAR(255) NULL,
+            sort_order INT NOT NULL DEFAULT 0,
+            logo_hash CHAR(64) NULL,
+            logo_filename VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+    await db.execute(createImageVariantsTable('partner_logo_variants', 'partners', 'partner_id'));
+
+    const [[{ peopleCount }]] = await db.execute('SELECT COUNT(*) AS peopleCount FROM people');
+    if (peopleCount === 0) {
+        let sortOrder = 0;
+        for (const [team, names] of Object.entries(COACH_TEAMS)) {
+            for (const name of names) {
+                await db.execute(
+                    "INSERT INTO people (type, name, team, sort_order) VALUES ('coach', ?, ?, ?)",
+                    [name, team, ++sortOrder]
+                );
+            }
+        }
+        for (const [role, names] of Object.entries(BOARD_ROLES)) {
+            for (const name of names) {
+                await db.execute(
+                    "INSERT INTO people (type, name, role, sort_order) VALUES ('board', ?, ?, ?)",
+                    [name, role, ++sortOrder]
+                );
+            }
+        }
+    }
+
+    const [[{ partnerCount }]] = await db.execute('SELECT COUNT(*) AS partnerCount FROM partners');
+    if (partnerCount === 0) {
+        for (const [index, [name, link]] of DEFAULT_PARTNERS.entries()) {
+            await db.execute('INSERT INTO partners (name, link, sort_order) VALUES (?, ?, ?)', [name, link, index + 1]);
+        }
+    }
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS partner_logo_variants');
+    await db.execute('DROP TABLE IF EXISTS partners');
+    await db.execute('DROP TABLE IF EXISTS person_photo_variants');
+    await db.execute('DROP TABLE IF EXISTS people');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Team rosters - the players of a team category in a season, either linked to a member or entered
+// by name, with a jersey number, position and an optional photo (stored as variants like result
+// images, see images.js). Most players are minors: a player is only shown on the site once
+// public_consent is set.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS roster_players (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            year VARCHAR(10) NOT NULL,
+            member_id INT NULL,
+            name VARCHAR(100) NOT NULL,
+            jersey_number TINYINT NULL,
+            position ENUM('setter', 'opposite', 'outside', 'middle', 'libero') NULL,
+            public_consent BOOLEAN NOT NULL DEFAULT FALSE,
+            photo_hash CHAR(64) NULL,
+            photo_filename VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_jersey_number (category, year, jersey_number),
+            UNIQUE KEY unique_member (category, year, member_id),
+            CONSTRAINT fk_roster_players_category FOREIGN KEY (category) REFERENCES categories(slug),
+            CONSTRAINT fk_roster_players_season FOREIGN KEY (year) REFERENCES seasons(year),
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS roster_player_photo_variants (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            player_id INT NOT NULL,
+            size ENUM('thumb', 'display', 'original') NOT NULL,
+            format VARCHAR(10) NOT NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            mimetype VARCHAR(100) NOT NULL,
+            width INT NOT NULL,
+            height INT NOT NULL,
+            file_size BIGINT NOT NULL,
+            file_hash CHAR(64) NOT NULL,
+            UNIQUE KEY unique_variant (player_id, size, format),
+            FOREIGN KEY (player_id) REFERENCES roster_players(id) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS roster_player_photo_variants');
+    await db.execute('DROP TABLE IF EXISTS roster_players');
+}
+
+module.exports = { up, down };
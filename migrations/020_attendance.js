@@ -0,0 +1,48 @@
+// Training attendance - one session per team (category) and date, optionally for a slot of the
+// training schedule, with a present/absent record for every listed member. Adds the coach role,
+// which can only record attendance.
+async function up(db) {
+    await db.execute(
+        "ALTER TABLE admin_users MODIFY COLUMN role ENUM('admin', 'editor', 'membership', 'coach') NOT NULL DEFAULT 'admin'"
+    );
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS attendance_sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            session_date DATE NOT NULL,
+            slot_id INT NULL,
+            note VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_session (category, session_date),
+            INDEX idx_session_date (session_date),
+            CONSTRAINT fk_attendance_sessions_category FOREIGN KEY (category) REFERENCES categories(slug),
+            FOREIGN KEY (slot_id) REFERENCES training_slots(id) ON DELETE SET NULL
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS attendance_records (
+            session_id INT NOT NULL,
+            member_id INT NOT NULL,
+            present BOOLEAN NOT NULL,
+            PRIMARY KEY (session_id, member_id),
+            INDEX idx_member (member_id),
+            FOREIGN KEY (session_id) REFERENCES attendance_sessions(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE RESTRICT
+        )
+    `);
+}
+
+// Coach accounts cannot keep their role - they are deactivated until an admin assigns another one
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS attendance_records');
+    await db.execute('DROP TABLE IF EXISTS attendance_sessions');
+    await db.execute("UPDATE admin_users SET role = 'editor', active = FALSE WHERE role = 'coach'");
+    await db.execute(
+        "ALTER TABLE admin_users MODIFY COLUMN role ENUM('admin', 'editor', 'membership') NOT NULL DEFAULT 'admin'"
+    );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,66 @@
+// Membership fees - plans set the fee of a team (category) for a season, billed once or monthly
+// (see public/fees.js); obligations are what a member owes for one period of a plan, with the
+// reference number of its payment slip; payments are recorded by hand or imported from a bank
+// statement, where import_key keeps a statement line from being imported twice
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS fee_plans (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            year VARCHAR(10) NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            frequency ENUM('season', 'monthly') NOT NULL,
+            amount_cents INT UNSIGNED NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_year_category (year, category),
+            CONSTRAINT fk_fee_plans_category FOREIGN KEY (category) REFERENCES categories(slug),
+            CONSTRAINT fk_fee_plans_season FOREIGN KEY (year) REFERENCES seasons(year)
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS fee_obligations (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            plan_id INT NOT NULL,
+            member_id INT NOT NULL,
+            period VARCHAR(7) NOT NULL,
+            amount_cents INT UNSIGNED NOT NULL,
+            due_date DATE NOT NULL,
+            reference VARCHAR(22) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_obligation (plan_id, member_id, period),
+            UNIQUE KEY unique_reference (reference),
+            INDEX idx_member (member_id),
+            INDEX idx_due_date (due_date),
+            FOREIGN KEY (plan_id) REFERENCES fee_plans(id),
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE RESTRICT
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS fee_payments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            obligation_id INT NOT NULL,
+            amount_cents INT UNSIGNED NOT NULL,
+            paid_on DATE NOT NULL,
+            source ENUM('manual', 'import') NOT NULL DEFAULT 'manual',
+            payer VARCHAR(255) NULL,
+            note VARCHAR(255) NULL,
+            import_key CHAR(64) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_import_key (import_key),
+            INDEX idx_obligation (obligation_id),
+            FOREIGN KEY (obligation_id) REFERENCES fee_obligations(id) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS fee_payments');
+    await db.execute('DROP TABLE IF EXISTS fee_obligations');
+    await db.execute('DROP TABLE IF EXISTS fee_plans');
+}
+
+module.exports = { up, down };
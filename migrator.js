@@ -0,0 +1,132 @@
+// Versioned schema migrations - ordered files in migrations/ exporting up(db) and down(db),
+// applied versions are recorded in the schema_migrations table
+const fs = require('fs');
+const path = require('path');
+const { tableExists } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_LOCK = 'ook_fazana_schema_migrations';
+
+// Migration files are named NNN_description.js and run in file name order
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d{3}_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return {
+                version: path.basename(file, '.js'),
+                up: migration.up,
+                down: migration.down
+            };
+        });
+}
+
+async function ensureMigrationsTable(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedVersions(db) {
+    if (!await tableExists(db, 'schema_migrations')) {
+        return [];
+    }
+    const [rows] = await db.execute('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+}
+
+// Applied, pending and unknown (applied but missing from migrations/) versions
+async function getStatus(db) {
+    const migrations = loadMigrations();
+    const applied = await getAppliedVersions(db);
+    const known = migrations.map(migration => migration.version);
+
+    return {
+        applied: applied.filter(version => known.includes(version)),
+        pending: known.filter(version => !applied.includes(version)),
+        unknown: applied.filter(version => !known.includes(version))
+    };
+}
+
+// MySQL DDL is not transactional - a named lock keeps two deploys from migrating at the same time
+async function withMigrationLock(db, callback) {
+    const connection = await db.getConnection();
+    try {
+        const [rows] = await connection.query('SELECT GET_LOCK(?, 60) AS acquired', [MIGRATIONS_LOCK]);
+        if (rows[0].acquired !== 1) {
+            throw new Error('Another migration is already running');
+        }
+        return await callback();
+    } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATIONS_LOCK]).catch(() => {});
+        connection.release();
+    }
+}
+
+// Apply all pending migrations in order; returns the applied versions
+async function migrate(db) {
+    return withMigrationLock(db, async () => {
+        await ensureMigrationsTable(db);
+        const applied = await getAppliedVersions(db);
+        const pending = loadMigrations().filter(migration => !applied.includes(migration.version));
+        const done = [];
+
+        for (const migration of pending) {
+            console.log(`Applying ${migration.version}...`);
+            await migration.up(db);
+            await db.execute('INSERT INTO schema_migrations (version) VALUES (?)', [migration.version]);
+            done.push(migration.version);
+        }
+
+        return done;
+    });
+}
+
+// Revert the last `steps` applied migrations, newest first; returns the reverted versions
+async function rollback(db, steps = 1) {
+    return withMigrationLock(db, async () => {
+        const migrations = loadMigrations();
+        const applied = await getAppliedVersions(db);
+        const toRevert = applied.slice(-steps).reverse();
+        const done = [];
+
+        for (const version of toRevert) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`Migration file for ${version} not found - cannot roll it back`);
+            }
+            console.log(`Reverting ${version}...`);
+            await migration.down(db);
+            await db.execute('DELETE FROM schema_migrations WHERE version = ?', [version]);
+            done.push(version);
+        }
+
+        return done;
+    });
+}
+
+// Startup check - throws if the database schema does not match the migration files
+async function verifySchema(db) {
+    const status = await getStatus(db);
+
+    if (status.pending.length > 0) {
+        throw new Error(`Database schema is not up to date, pending migrations: ${status.pending.join(', ')}. Run "npm run migrate".`);
+    }
+    if (status.unknown.length > 0) {
+        throw new Error(`Database has migrations this version does not know about: ${status.unknown.join(', ')}. Deploy the matching code or roll them back.`);
+    }
+
+    return status;
+}
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    migrate,
+    rollback,
+    verifySchema
+};
@@ -0,0 +1,231 @@
+// Membership fee payments - HUB-3 payment slips (the Croatian standard slip with the PDF417 barcode
+// that mobile banking apps scan) and the incoming payments of bank statements exported as CSV
+const crypto = require('crypto');
+const bwipjs = require('bwip-js');
+const { parseCsv } = require('./csv');
+const { REFERENCE_MODEL, normalizeFeeReference } = require('./public/fees');
+
+// The club's account (see contact.html) - the recipient on every slip
+const CLUB_ACCOUNT = {
+    name: 'OOK Fažana',
+    street: 'Put Sv. Elizeja 27',
+    city: '52212 Fažana',
+    iban: 'HR3224840081101389765'
+};
+
+const HUB3_HEADER = 'HRVHUB30';
+const HUB3_CURRENCY = 'EUR';
+const HUB3_PURPOSE_CODE = 'OTHR';
+
+// Longest values the HUB-3 barcode allows in each field
+const HUB3_FIELD_LENGTHS = {
+    payerName: 30,
+    payerStreet: 27,
+    payerCity: 27,
+    recipientName: 25,
+    recipientStreet: 25,
+    recipientCity: 27,
+    description: 35
+};
+
+// The barcode text is ISO 8859-2; these are the letters it has beyond ASCII that Croatian names use
+const ISO_8859_2 = {
+    'Č': 0xC8, 'č': 0xE8, 'Ć': 0xC6, 'ć': 0xE6, 'Đ': 0xD0, 'đ': 0xF0,
+    'Š': 0xA9, 'š': 0xB9, 'Ž': 0xAE, 'ž': 0xBE
+};
+
+// Other letters lose their accents, anything else becomes ?
+function encodeIso88592(text) {
+    return Array.from(text, char => {
+        if (ISO_8859_2[char]) return String.fromCharCode(ISO_8859_2[char]);
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return /^[\x20-\x7e\n]$/.test(plain) ? plain : '?';
+    }).join('');
+}
+
+function getSlipField(value, maxLength) {
+    return String(value || '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+// "Ulica 1, 52212 Fažana" -> street and city; an address without a comma is all street
+function splitAddress(address) {
+    const text = String(address || '').trim();
+    const comma = text.lastIndexOf(',');
+    return comma === -1
+        ? { street: text, city: '' }
+        : { street: text.slice(0, comma).trim(), city: text.slice(comma + 1).trim() };
+}
+
+// Slip: { payer: { name, street, city }, amount_cents, reference (without the model), description }.
+// Returns the fields printed on the slip, with the club as the recipient.
+function buildPaymentSlip(slip) {
+    return {
+        payer: {
+            name: getSlipField(slip.payer.name, HUB3_FIELD_LENGTHS.payerName),
+            street: getSlipField(slip.payer.street, HUB3_FIELD_LENGTHS.payerStreet),
+            city: getSlipField(slip.payer.city, HUB3_FIELD_LENGTHS.payerCity)
+        },
+        recipient: {
+            name: getSlipField(CLUB_ACCOUNT.name, HUB3_FIELD_LENGTHS.recipientName),
+            street: getSlipField(CLUB_ACCOUNT.street, HUB3_FIELD_LENGTHS.recipientStreet),
+            city: getSlipField(CLUB_ACCOUNT.city, HUB3_FIELD_LENGTHS.recipientCity)
+        },
+        iban: CLUB_ACCOUNT.iban,
+        currency: HUB3_CURRENCY,
+        amount_cents: slip.amount_cents,
+        model: REFERENCE_MODEL,
+        reference: slip.reference,
+        purpose_code: HUB3_PURPOSE_CODE,
+        description: getSlipField(slip.description, HUB3_FIELD_LENGTHS.description)
+    };
+}
+
+// The barcode content: the HUB-3 fields in their fixed order, one per line
+function getHub3Data(slip) {
+    return [
+        HUB3_HEADER,
+        slip.currency,
+        String(slip.amount_cents).padStart(15, '0'),
+        slip.payer.name,
+        slip.payer.street,
+        slip.payer.city,
+        slip.recipient.name,
+        slip.recipient.street,
+        slip.recipient.city,
+        slip.iban,
+        slip.model,
+        slip.reference,
+        slip.purpose_code,
+        slip.description
+    ].join('\n');
+}
+
+// PDF417 with the parameters of the HUB-3 standard (9 data columns, error correction level 4) as SVG
+function buildHub3Barcode(slip) {
+    return bwipjs.toSVG({
+        bcid: 'pdf417',
+        text: encodeIso88592(getHub3Data(slip)),
+        binarytext: true,
+        columns: 9,
+        eclevel: 4
+    });
+}
+
+// Column header names banks use, without diacritics and in lower case; the first match wins
+const STATEMENT_COLUMNS = {
+    date: ['datum valute', 'datum izvrsenja', 'datum knjizenja', 'datum', 'value date', 'booking date', 'date'],
+    credit: ['potrazuje', 'uplata', 'priljev', 'odobrenje', 'credit'],
+    amount: ['iznos', 'amount'],
+    reference: ['poziv na broj odobrenja', 'poziv na broj primatelja', 'poziv na broj', 'referenca', 'reference'],
+    payer: ['naziv platitelja', 'platitelj', 'uplatitelj', 'naziv', 'payer', 'name'],
+    description: ['opis placanja', 'opis', 'svrha', 'description']
+};
+
+// The header is looked for in the first rows, below the account details some banks put first
+const MAX_STATEMENT_HEADER_ROW = 20;
+
+function normalizeHeader(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Index of each known column in a header row - exact names first, then names starting with them
+// ("Iznos u EUR")
+function findStatementColumns(row) {
+    const headers = row.map(normalizeHeader);
+    const columns = {};
+    for (const [column, names] of Object.entries(STATEMENT_COLUMNS)) {
+        for (const name of names) {
+            const exact = headers.indexOf(name);
+            const index = exact !== -1 ? exact : headers.findIndex(header => header.startsWith(name));
+            if (index !== -1 && !Object.values(columns).includes(index)) {
+                columns[column] = index;
+                break;
+            }
+        }
+    }
+    return columns;
+}
+
+// 1.234,56 / 1234.56 / -25,00 EUR -> cents, null if it is not an amount
+function parseStatementAmount(value) {
+    let text = String(value || '').replace(/[\s€]|EUR/gi, '');
+    const decimal = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+    if (decimal !== -1 && text.length - decimal - 1 <= 2) {
+        text = `${text.slice(0, decimal).replace(/[.,]/g, '')}.${text.slice(decimal + 1)}`;
+    } else {
+        text = text.replace(/[.,]/g, '');
+    }
+    return /^[-+]?\d+(\.\d{1,2})?$/.test(text) ? Math.round(Number(text) * 100) : null;
+}
+
+// 18.10.2026. / 18/10/2026 / 2026-10-18 -> 2026-10-18, null if it is not a date
+function parseStatementDate(value) {
+    const text = String(value || '').trim();
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    const local = /^(\d{1,2})[./](\d{1,2})[./](\d{4})/.exec(text);
+    return local ? `${local[3]}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}` : null;
+}
+
+// Statements are UTF-8 or, from older bank software, Windows-1250
+function decodeStatement(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('windows-1250').decode(buffer);
+    }
+}
+
+// The incoming payments of a bank statement CSV: { entries } or { error } if the columns are not
+// recognised. Entry: { date, amount_cents, reference (normalized HR01 reference or null),
+// statement_reference, payer, description, import_key }; import_key identifies the statement
+// line, so importing the same statement twice does not record its payments twice. Identical lines
+// (two equal payments on the same day) are told apart by how many came before them.
+function parseBankStatement(buffer) {
+    const rows = parseCsv(decodeStatement(buffer));
+    const headerIndex = rows.slice(0, MAX_STATEMENT_HEADER_ROW).findIndex(row => {
+        const columns = findStatementColumns(row);
+        return columns.date !== undefined && (columns.credit !== undefined || columns.amount !== undefined);
+    });
+    if (headerIndex === -1) {
+        return { error: 'The statement has no recognisable date and amount columns' };
+    }
+
+    const columns = findStatementColumns(rows[headerIndex]);
+    const cell = (row, column) => columns[column] === undefined ? '' : (row[columns[column]] || '').trim();
+    const entries = [];
+    const occurrences = new Map();
+
+    for (const row of rows.slice(headerIndex + 1)) {
+        const date = parseStatementDate(cell(row, 'date'));
+        const amount = parseStatementAmount(cell(row, columns.credit !== undefined ? 'credit' : 'amount'));
+        if (!date || !amount || amount <= 0) continue;
+
+        const statementReference = cell(row, 'reference');
+        const description = cell(row, 'description');
+        const payer = cell(row, 'payer');
+        const referenceInText = new RegExp(`${REFERENCE_MODEL}\\s*(\\d+-\\d+-\\d+)`, 'i').exec(description);
+        const line = JSON.stringify(row);
+        const occurrence = occurrences.get(line) || 0;
+        occurrences.set(line, occurrence + 1);
+
+        entries.push({
+            date,
+            amount_cents: amount,
+            reference: normalizeFeeReference(statementReference) || (referenceInText ? normalizeFeeReference(referenceInText[1]) : null),
+            statement_reference: statementReference,
+            payer,
+            description,
+            import_key: crypto.createHash('sha256').update(JSON.stringify([line, occurrence])).digest('hex')
+        });
+    }
+
+    return { entries };
+}
+
+module.exports = {
+    splitAddress,
+    buildPaymentSlip,
+    buildHub3Barcode,
+    parseBankStatement
+};
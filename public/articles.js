@@ -0,0 +1,137 @@
+// News articles - slugs, publication state, the body format and links; shared by the browser
+// (news.js, home.js, cms.js) and the server (server.js)
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./html'));
+    } else {
+        root.Articles = factory(root.HtmlTemplate);
+    }
+}(typeof self !== 'undefined' ? self : this, function(HtmlTemplate) {
+    const { escapeHtml, raw } = HtmlTemplate;
+
+    // Stored statuses - a published article with a future publish date is scheduled
+    const ARTICLE_STATUSES = ['draft', 'published'];
+    const ARTICLE_STATES = ['draft', 'scheduled', 'published'];
+
+    const MAX_SLUG_LENGTH = 100;
+    const DEFAULT_EXCERPT_LENGTH = 200;
+
+    // Lowercase letters and digits separated by single dashes, e.g. pobjeda-na-turniru-u-puli
+    function isValidArticleSlug(slug) {
+        return typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+    }
+
+    // Počinju upisi u školu odbojke! -> pocinju-upisi-u-skolu-odbojke
+    function getArticleSlug(title) {
+        return String(title)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, MAX_SLUG_LENGTH)
+            .replace(/-+$/, '');
+    }
+
+    // draft, scheduled (published, but the publish date is still ahead) or published
+    function getArticleState(article, now = new Date()) {
+        if (article.status !== 'published') return 'draft';
+        return article.published_at && new Date(article.published_at) > now ? 'scheduled' : 'published';
+    }
+
+    // Links may point to the web, an e-mail address or a page of this site
+    function isSafeUrl(url) {
+        return /^(https?:\/\/|mailto:|\/(?!\/))/i.test(url);
+    }
+
+    // **bold**, *italic* and [text](url) on already escaped text
+    function renderInline(text) {
+        return escapeHtml(text)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => isSafeUrl(url) ? `<a href="${url}">${label}</a>` : match)
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>');
+    }
+
+    function renderBlock(block) {
+        const lines = block.split('\n').map(line => line.trim());
+        const heading = /^(#{1,3})\s+(.+)$/.exec(lines[0]);
+
+        if (heading && lines.length === 1) {
+            // The article title is the page's h1, so # and ## are both h2
+            const level = heading[1].length === 3 ? 'h3' : 'h2';
+            return `<${level}>${renderInline(heading[2])}</${level}>`;
+        }
+        if (lines.every(line => /^[-*]\s+/.test(line))) {
+            return `<ul>${lines.map(line => `<li>${renderInline(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+        }
+        if (lines.every(line => /^\d+\.\s+/.test(line))) {
+            return `<ol>${lines.map(line => `<li>${renderInline(line.replace(/^\d+\.\s+/, ''))}</li>`).join('')}</ol>`;
+        }
+        if (lines.every(line => line.startsWith('>'))) {
+            return `<blockquote><p>${lines.map(line => renderInline(line.replace(/^>\s?/, ''))).join('<br>')}</p></blockquote>`;
+        }
+        return `<p>${lines.map(renderInline).join('<br>')}</p>`;
+    }
+
+    // The article body is plain text with a small Markdown subset: blank lines separate paragraphs,
+    // "## " starts a heading, "- " and "1. " lines make lists, "> " a quote, plus **bold**, *italic*
+    // and [links](https://...). Everything else is escaped, so the result is safe to insert.
+    function renderArticleBody(text) {
+        const blocks = String(text || '')
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/)
+            .map(block => block.trim())
+            .filter(Boolean);
+
+        return raw(blocks.map(renderBlock).join('\n'));
+    }
+
+    // Plain text of the body for lists, the homepage and feed summaries, cut at a word boundary
+    function getArticleExcerpt(text, maxLength = DEFAULT_EXCERPT_LENGTH) {
+        const plain = String(text || '')
+            .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+            .replace(/^\s*(#{1,3}|[-*]|\d+\.|>)\s+/gm, '')
+            .replace(/\*\*?(\S(?:.*?\S)?)\*\*?/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (plain.length <= maxLength) return plain;
+        const cut = plain.slice(0, maxLength);
+        return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}…`;
+    }
+
+    // 2026-10-18T08:00:00.000Z -> 18. listopada 2026.
+    function formatArticleDate(date) {
+        return new Date(date).toLocaleDateString('hr-HR', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    function getArticleUrl(article) {
+        return `novosti.html?clanak=${encodeURIComponent(article.slug)}`;
+    }
+
+    // srcset over the cover variants (like result images), each size listed once
+    function getArticleCoverSrcset(article) {
+        const widths = article.cover_widths || {};
+        const seen = new Set();
+
+        return ['thumb', 'display', 'original']
+            .filter(size => widths[size] && !seen.has(widths[size]) && seen.add(widths[size]))
+            .map(size => `/api/articles/${article.id}/cover?size=${size}&v=${article.cover_hash} ${widths[size]}w`)
+            .join(', ');
+    }
+
+    return {
+        ARTICLE_STATUSES,
+        ARTICLE_STATES,
+        isValidArticleSlug,
+        getArticleSlug,
+        getArticleState,
+        renderArticleBody,
+        getArticleExcerpt,
+        formatArticleDate,
+        getArticleUrl,
+        getArticleCoverSrcset
+    };
+}));
@@ -0,0 +1,38 @@
+// Category naming - shared by the browser (cms.js) and the server
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Categories = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    // Teams are used by results and members, document types by documents
+    const CATEGORY_TYPES = ['team', 'document'];
+
+    const MAX_SLUG_LENGTH = 50;
+
+    // Lowercase letters and digits separated by single dashes, e.g. mlade-kadetkinje
+    function isValidCategorySlug(slug) {
+        return typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+    }
+
+    // Mlađe Kadetkinje -> mlade-kadetkinje
+    function getCategorySlug(name) {
+        return String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, MAX_SLUG_LENGTH)
+            .replace(/-+$/, '');
+    }
+
+    return {
+        CATEGORY_TYPES,
+        isValidCategorySlug,
+        getCategorySlug
+    };
+}));
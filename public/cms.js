@@ -3,32 +3,128 @@ document.addEventListener('DOMContentLoaded', function() {
     initCMS();
 });
 
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
 // CMS Configuration
 const CMS_CONFIG = {
     // API endpoints
     api: {
         results: '/api/results',
         documents: '/api/documents',
-        auth: '/api/auth/login'
+        matches: '/api/matches',
+        rosters: '/api/rosters',
+        events: '/api/events',
+        trainingSchedule: '/api/training-schedule',
+        attendance: '/api/attendance',
+        articles: '/api/articles',
+        people: '/api/people',
+        partners: '/api/partners',
+        seasons: '/api/seasons',
+        categories: '/api/categories',
+        membership: '/api/membership',
+        members: '/api/members',
+        fees: '/api/fees',
+        trash: '/api/trash',
+        users: '/api/users',
+        security: '/api/security',
+        audit: '/api/audit',
+        auth: {
+            login: '/api/auth/login',
+            refresh: '/api/auth/refresh',
+            logout: '/api/auth/logout',
+            me: '/api/auth/me',
+            password: '/api/auth/password'
+        }
     }
 };
 
+// All seasons, newest first - used for the season names and the result season list
+let seasons = [];
+
+// Teams and document types in display order - used for the category names and lists
+let categories = [];
+
+// Matches shown in the CMS list (filtered by team and season)
+let matches = [];
+
+// Players shown in the CMS roster list (filtered by team and season)
+let rosterPlayers = [];
+
+// Fee plans of all seasons and the obligations shown in the CMS list (filtered by team, season and state)
+let feePlans = [];
+let feeObligations = [];
+
+// Saved attendance session of the chosen team and date, null if not recorded yet
+let attendanceSession = null;
+
+// Calendar events shown in the CMS list
+let events = [];
+
+// Articles shown in the CMS list (all states) and how many match the status filter
+let articles = [];
+let articlesTotal = 0;
+
+// Articles loaded per request of the CMS list
+const ARTICLES_PAGE_SIZE = 20;
+
+const ARTICLE_STATE_LABELS = {
+    draft: 'Skica',
+    scheduled: 'Zakazano',
+    published: 'Objavljeno'
+};
+
+// Status badge colours of the article states
+const ARTICLE_STATE_BADGES = {
+    draft: 'status-inactive',
+    scheduled: 'status-contacted',
+    published: 'status-accepted'
+};
+
+// Coaches and board members, and the club's partners, in display order
+let people = [];
+let partners = [];
+
+const PERSON_TYPE_LABELS = {
+    coach: 'Treneri',
+    board: 'Uprava'
+};
+
+// Weekly training slots and their exceptions (past ones included)
+let trainingSlots = [];
+let trainingExceptions = [];
+
+// Server limit for images in one results upload
+const MAX_RESULT_IMAGES_PER_UPLOAD = 10;
+
+// Session state - the access token lives only in memory, the refresh token in an HttpOnly cookie
+let accessToken = null;
+let currentUser = null;
+let refreshTimer = null;
+
 // Get base URL for API calls
 const getBaseURL = () => {
     return window.location.origin;
 };
 
-function initCMS() {
-    // Check if user is already logged in
-    if (isLoggedIn()) {
+async function initCMS() {
+    // Tokens from older versions were kept in localStorage
+    localStorage.removeItem('cms_token');
+    localStorage.removeItem('cms_user');
+    
+    // Setup event listeners
+    setupEventListeners();
+    
+    // Lists and cards show season and category names, so these load first
+    await Promise.all([loadSeasons(), loadCategories()]);
+    
+    // Resume the session from the refresh cookie, if there is one
+    if (await refreshSession()) {
         showDashboard();
     } else {
         showLogin();
     }
     
-    // Setup event listeners
-    setupEventListeners();
-    
     // Load initial data
     loadResults();
     loadDocuments();
@@ -41,6 +137,22 @@ function setupEventListeners() {
     // Logout button
     document.getElementById('logoutBtn').addEventListener('click', handleLogout);
     
+    // Password forms
+    document.getElementById('forcedPasswordForm').addEventListener('submit', handleForcedPasswordChange);
+    document.getElementById('passwordForm').addEventListener('submit', handlePasswordChange);
+    
+    // Users form
+    document.getElementById('usersForm').addEventListener('submit', handleUsersSubmit);
+    
+    // Login attempts filter
+    document.getElementById('loginAttemptsFilter').addEventListener('change', loadLoginAttempts);
+    
+    // Audit log filters
+    document.getElementById('auditFilterForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        loadAuditLog();
+    });
+    
     // Tab navigation
     document.querySelectorAll('.nav-tab').forEach(tab => {
         tab.addEventListener('click', function() {
@@ -50,9 +162,110 @@ function setupEventListeners() {
     
     // Results form
     document.getElementById('resultsForm').addEventListener('submit', handleResultsSubmit);
+    document.getElementById('resultFormCancel').addEventListener('click', resetResultForm);
+    document.getElementById('resultImages').addEventListener('change', renderNewResultImages);
+    
+    // Matches form and filters
+    document.getElementById('matchesForm').addEventListener('submit', handleMatchesSubmit);
+    document.getElementById('matchFormCancel').addEventListener('click', resetMatchForm);
+    document.getElementById('matchCategoryFilter').addEventListener('change', loadMatches);
+    document.getElementById('matchYearFilter').addEventListener('change', loadMatches);
+    document.getElementById('matchHomeTeam').value = Matches.CLUB_TEAM_NAME;
+    
+    // Membership fee forms and filters
+    initFees();
+    document.getElementById('feePlanForm').addEventListener('submit', handleFeePlanSubmit);
+    document.getElementById('feePlanFormCancel').addEventListener('click', resetFeePlanForm);
+    document.getElementById('feeGeneratePlan').addEventListener('change', updateFeeGeneratePeriodOptions);
+    document.getElementById('feeGenerateForm').addEventListener('submit', handleFeeGenerateSubmit);
+    document.getElementById('feeImportForm').addEventListener('submit', handleFeeImportSubmit);
+    document.getElementById('feeCategoryFilter').addEventListener('change', loadFeeObligations);
+    document.getElementById('feeYearFilter').addEventListener('change', loadFeeObligations);
+    document.getElementById('feeStatusFilter').addEventListener('change', loadFeeObligations);
+    document.getElementById('feeSearch').addEventListener('input', renderFeeObligations);
+    
+    // Attendance forms
+    document.getElementById('attendanceCategory').addEventListener('change', loadAttendance);
+    document.getElementById('attendanceDate').addEventListener('change', loadAttendance);
+    document.getElementById('attendanceForm').addEventListener('submit', handleAttendanceSubmit);
+    document.getElementById('attendanceDeleteBtn').addEventListener('click', deleteAttendanceSession);
+    document.getElementById('attendanceSelectAll').addEventListener('click', () => {
+        document.querySelectorAll('input[name="attendancePresent"]').forEach(checkbox => { checkbox.checked = true; });
+    });
+    document.getElementById('attendanceReportForm').addEventListener('submit', loadAttendanceReport);
+    document.getElementById('attendanceExportPlayers').addEventListener('click', () => exportAttendanceReport('players'));
+    document.getElementById('attendanceExportTeams').addEventListener('click', () => exportAttendanceReport('teams'));
+    
+    // Roster form and filters
+    document.getElementById('rosterPosition').innerHTML = html`
+        <option value="">-</option>
+        ${Object.entries(Rosters.PLAYER_POSITIONS).map(([position, name]) => html`<option value="${position}">${name}</option>`)}
+    `;
+    document.getElementById('rosterForm').addEventListener('submit', handleRosterSubmit);
+    document.getElementById('rosterFormCancel').addEventListener('click', resetRosterForm);
+    document.getElementById('rosterCategory').addEventListener('change', () => updateRosterMemberOptions());
+    document.getElementById('rosterCategoryFilter').addEventListener('change', loadRoster);
+    document.getElementById('rosterYearFilter').addEventListener('change', loadRoster);
+    
+    // Events form
+    document.getElementById('eventsForm').addEventListener('submit', handleEventsSubmit);
+    document.getElementById('eventFormCancel').addEventListener('click', resetEventForm);
+    document.getElementById('eventShowPast').addEventListener('change', loadEvents);
+    
+    // Articles form
+    document.getElementById('articlesForm').addEventListener('submit', handleArticleSubmit);
+    document.getElementById('articleFormCancel').addEventListener('click', resetArticleForm);
+    document.getElementById('articleStatusFilter').addEventListener('change', () => loadArticles());
+    document.getElementById('articlesMore').addEventListener('click', () => loadArticles(true));
+    
+    // People and partners forms
+    document.getElementById('peopleForm').addEventListener('submit', handlePersonSubmit);
+    document.getElementById('personFormCancel').addEventListener('click', resetPersonForm);
+    document.getElementById('partnersForm').addEventListener('submit', handlePartnerSubmit);
+    document.getElementById('partnerFormCancel').addEventListener('click', resetPartnerForm);
+    
+    // Training schedule forms
+    document.getElementById('trainingWeekday').innerHTML = html`${Object.entries(Training.WEEKDAYS)
+        .map(([weekday, name]) => html`<option value="${weekday}">${name}</option>`)}`;
+    document.getElementById('trainingSlotForm').addEventListener('submit', handleTrainingSlotSubmit);
+    document.getElementById('trainingSlotFormCancel').addEventListener('click', resetTrainingSlotForm);
+    document.getElementById('trainingExceptionForm').addEventListener('submit', handleTrainingExceptionSubmit);
+    document.getElementById('trainingExceptionFormCancel').addEventListener('click', resetTrainingExceptionForm);
+    
+    // Seasons form
+    document.getElementById('seasonsForm').addEventListener('submit', handleSeasonsSubmit);
+    document.getElementById('seasonFormCancel').addEventListener('click', resetSeasonForm);
+    document.getElementById('seasonYear').addEventListener('input', function() {
+        document.getElementById('seasonLabel').placeholder = Seasons.isValidSeasonYear(this.value)
+            ? Seasons.getSeasonLabel(this.value)
+            : 'npr. 2025/26';
+    });
+    
+    // Categories form
+    document.getElementById('categoriesForm').addEventListener('submit', handleCategoriesSubmit);
+    document.getElementById('categoryFormCancel').addEventListener('click', resetCategoryForm);
+    document.getElementById('categoryName').addEventListener('input', function() {
+        document.getElementById('categorySlug').placeholder = Categories.getCategorySlug(this.value) || 'npr. starije-kadetkinje';
+    });
     
     // Documents form
     document.getElementById('documentsForm').addEventListener('submit', handleDocumentsSubmit);
+    document.getElementById('documentFormCancel').addEventListener('click', resetDocumentForm);
+    
+    // Applications status filter
+    document.getElementById('applicationStatusFilter').addEventListener('change', loadApplications);
+    
+    // Members form and filters
+    document.getElementById('membersForm').addEventListener('submit', handleMembersSubmit);
+    document.getElementById('memberFormCancel').addEventListener('click', resetMemberForm);
+    document.getElementById('memberCategoryFilter').addEventListener('change', loadMembers);
+    document.getElementById('memberActiveFilter').addEventListener('change', loadMembers);
+    
+    let memberSearchTimeout;
+    document.getElementById('memberSearch').addEventListener('input', function() {
+        clearTimeout(memberSearchTimeout);
+        memberSearchTimeout = setTimeout(loadMembers, 300);
+    });
 }
 
 // Authentication Functions
@@ -63,7 +276,7 @@ async function handleLogin(e) {
     const password = document.getElementById('password').value;
     
     try {
-        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.auth}`, {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.auth.login}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -74,10 +287,13 @@ async function handleLogin(e) {
         const data = await response.json();
         
         if (response.ok) {
-            localStorage.setItem('cms_token', data.token);
-            localStorage.setItem('cms_user', JSON.stringify(data.user));
+            startSession(data);
+            document.getElementById('loginForm').reset();
             showDashboard();
             showMessage('Uspješno ste se prijavili!', 'success');
+        } else if (response.status === 429) {
+            const minutes = Math.ceil((data.retryAfter || 60) / 60);
+            showMessage(`Previše neuspjelih prijava. Pokušajte ponovno za ${minutes} min.`, 'error', 'loginMessage');
         } else {
             showMessage(data.error || 'Neispravno korisničko ime ili lozinka!', 'error', 'loginMessage');
         }
@@ -87,33 +303,245 @@ async function handleLogin(e) {
     }
 }
 
-function handleLogout() {
-    localStorage.removeItem('cms_token');
-    localStorage.removeItem('cms_user');
+async function handleLogout() {
+    try {
+        // Revokes the refresh cookie and the current access token on the server
+        await fetch(`${getBaseURL()}${CMS_CONFIG.api.auth.logout}`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    
+    endSession();
     showLogin();
     showMessage('Uspješno ste se odjavili!', 'success');
 }
 
+function startSession(data) {
+    accessToken = data.token;
+    currentUser = data.user;
+    
+    // Renew the access token a minute before it expires
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refreshSession, Math.max(data.expiresIn - 60, 30) * 1000);
+}
+
+function endSession() {
+    clearTimeout(refreshTimer);
+    accessToken = null;
+    currentUser = null;
+}
+
+// Get a new access token from the refresh cookie; returns false when there is no valid session
+async function refreshSession() {
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.auth.refresh}`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            endSession();
+            return false;
+        }
+        
+        startSession(await response.json());
+        return true;
+    } catch (error) {
+        console.error('Session refresh error:', error);
+        return false;
+    }
+}
+
+// fetch() with the access token; an expired token is refreshed once before giving up
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${accessToken}` }
+    });
+    
+    let response = await send();
+    
+    if (response.status === 401) {
+        if (await refreshSession()) {
+            response = await send();
+        } else {
+            showLogin();
+            showMessage('Sesija je istekla, prijavite se ponovno.', 'error', 'loginMessage');
+        }
+    }
+    
+    return response;
+}
+
 function isLoggedIn() {
-    return localStorage.getItem('cms_token') !== null;
+    return accessToken !== null;
 }
 
 function getAuthHeaders() {
-    const token = localStorage.getItem('cms_token');
     return {
-        'Authorization': `Bearer ${token}`,
+        'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
     };
 }
 
+function getCurrentUser() {
+    return currentUser || {};
+}
+
+// Admins can use every tab, other roles only the tabs that list them in data-roles
+function hasRole(...roles) {
+    const { role } = getCurrentUser();
+    return role === 'admin' || roles.includes(role);
+}
+
 function showLogin() {
     document.getElementById('loginSection').style.display = 'block';
+    document.getElementById('passwordChangeSection').style.display = 'none';
+    document.getElementById('cmsDashboard').classList.remove('active');
+}
+
+function showPasswordChange() {
+    document.getElementById('loginSection').style.display = 'none';
+    document.getElementById('passwordChangeSection').style.display = 'block';
     document.getElementById('cmsDashboard').classList.remove('active');
 }
 
 function showDashboard() {
+    const user = getCurrentUser();
+    
+    // The default/temporary password has to be replaced before anything else
+    if (user.mustChangePassword) {
+        showPasswordChange();
+        return;
+    }
+    
     document.getElementById('loginSection').style.display = 'none';
+    document.getElementById('passwordChangeSection').style.display = 'none';
     document.getElementById('cmsDashboard').classList.add('active');
+    document.getElementById('currentUserInfo').textContent = `${user.username} (${getRoleName(user.role)})`;
+    
+    applyRoleVisibility();
+    
+    // Linking players to members needs access to the member registry
+    document.getElementById('rosterMemberGroup').style.display = hasRole('membership') ? 'block' : 'none';
+    
+    if (hasRole('editor')) {
+        loadTrash();
+        loadMatches();
+        loadRoster();
+        loadEvents();
+        loadArticles();
+        loadPeople();
+        loadPartners();
+    }
+    
+    // Applications and members contain personal data and are only available after login
+    if (hasRole('membership')) {
+        loadApplications();
+        loadMembers();
+        loadFeePlans();
+        loadFeeObligations();
+    }
+    
+    // Coaches pick the training from the schedule when recording attendance
+    if (hasRole('editor', 'coach', 'membership')) {
+        loadTrainingSchedule();
+    }
+    
+    if (hasRole('coach', 'membership')) {
+        initAttendance();
+    }
+    
+    if (hasRole('admin')) {
+        loadUsers();
+        loadSecurity();
+        loadAuditLog();
+    }
+}
+
+// Show only the tabs the current role may use and open the first of them
+function applyRoleVisibility() {
+    let firstVisibleTab = null;
+    
+    document.querySelectorAll('.nav-tab').forEach(tab => {
+        const roles = tab.dataset.roles ? tab.dataset.roles.split(' ') : null;
+        const visible = !roles || hasRole(...roles);
+        tab.style.display = visible ? '' : 'none';
+        
+        if (visible && !firstVisibleTab) {
+            firstVisibleTab = tab.dataset.tab;
+        }
+    });
+    
+    const activeTab = document.querySelector('.nav-tab.active');
+    if (!activeTab || activeTab.style.display === 'none') {
+        switchTab(firstVisibleTab);
+    }
+}
+
+async function changePassword(currentPassword, newPassword) {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.auth.password}`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ currentPassword, newPassword })
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to change password');
+    }
+    
+    return response.json();
+}
+
+async function handleForcedPasswordChange(e) {
+    e.preventDefault();
+    
+    const currentPassword = document.getElementById('forcedCurrentPassword').value;
+    const newPassword = document.getElementById('forcedNewPassword').value;
+    const confirmPassword = document.getElementById('forcedConfirmPassword').value;
+    
+    if (newPassword !== confirmPassword) {
+        showMessage('Nove lozinke se ne podudaraju!', 'error', 'passwordChangeMessage');
+        return;
+    }
+    
+    try {
+        await changePassword(currentPassword, newPassword);
+        
+        currentUser.mustChangePassword = false;
+        
+        document.getElementById('forcedPasswordForm').reset();
+        showDashboard();
+        showMessage('Lozinka je uspješno promijenjena!', 'success');
+    } catch (error) {
+        console.error('Password change error:', error);
+        showMessage(`Greška pri promjeni lozinke: ${error.message}`, 'error', 'passwordChangeMessage');
+    }
+}
+
+async function handlePasswordChange(e) {
+    e.preventDefault();
+    
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    
+    if (newPassword !== confirmPassword) {
+        showMessage('Nove lozinke se ne podudaraju!', 'error');
+        return;
+    }
+    
+    try {
+        await changePassword(currentPassword, newPassword);
+        document.getElementById('passwordForm').reset();
+        showMessage('Lozinka je uspješno promijenjena!', 'success');
+    } catch (error) {
+        console.error('Password change error:', error);
+        showMessage(`Greška pri promjeni lozinke: ${error.message}`, 'error');
+    }
 }
 
 // Tab Management
@@ -138,20 +566,35 @@ async function handleResultsSubmit(e) {
     const formData = new FormData();
     const category = document.getElementById('resultCategory').value;
     const year = document.getElementById('resultYear').value;
-    const image = document.getElementById('resultImage').files[0];
+    const images = Array.from(document.getElementById('resultImages').files);
     const description = document.getElementById('resultDescription').value;
     
+    const id = document.getElementById('resultId').value;
+    
+    if (images.length > MAX_RESULT_IMAGES_PER_UPLOAD) {
+        showMessage(`Odjednom možete dodati najviše ${MAX_RESULT_IMAGES_PER_UPLOAD} slika!`, 'error');
+        return;
+    }
+    
     formData.append('category', category);
     formData.append('year', year);
-    formData.append('image', image);
+    // Each image is followed by its caption, the server pairs them by order
+    const captions = document.querySelectorAll('#resultNewImages input');
+    images.forEach((image, index) => {
+        formData.append('images', image);
+        formData.append('captions', captions[index] ? captions[index].value : '');
+    });
     formData.append('description', description);
     
     try {
-        // In production, this would be a real API call
-        await saveResults(formData);
+        if (id) {
+            await updateResults(id, formData);
+        } else {
+            await saveResults(formData);
+        }
         
         showMessage('Rezultati su uspješno spremljeni!', 'success');
-        document.getElementById('resultsForm').reset();
+        resetResultForm();
         loadResults();
         
     } catch (error) {
@@ -160,12 +603,20 @@ async function handleResultsSubmit(e) {
     }
 }
 
+// Caption inputs for the selected files, in upload order
+function renderNewResultImages() {
+    const files = Array.from(document.getElementById('resultImages').files);
+    document.getElementById('resultNewImages').innerHTML = html`${files.map(file => html`
+        <li>
+            <span class="image-filename" title="${file.name}">${file.name}</span>
+            <input type="text" maxlength="255" placeholder="Opis slike (neobavezno)">
+        </li>
+    `)}`;
+}
+
 async function saveResults(formData) {
-    const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.results}`, {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.results}`, {
         method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${localStorage.getItem('cms_token')}`
-        },
         body: formData
     });
     
@@ -177,6 +628,32 @@ async function saveResults(formData) {
     return response.json();
 }
 
+async function updateResults(id, formData) {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.results}/${id}`, {
+        method: 'PUT',
+        body: formData
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update results');
+    }
+    
+    return response.json();
+}
+
+function resetResultForm() {
+    document.getElementById('resultsForm').reset();
+    document.getElementById('resultId').value = '';
+    document.getElementById('resultImages').required = true;
+    document.getElementById('resultNewImages').innerHTML = '';
+    document.getElementById('resultGallery').innerHTML = '';
+    document.getElementById('resultGallerySection').style.display = 'none';
+    document.getElementById('resultFormTitle').textContent = 'Dodaj/uredi rezultate';
+    document.getElementById('resultSubmitBtn').textContent = 'Spremi rezultate';
+    document.getElementById('resultFormCancel').style.display = 'none';
+}
+
 async function loadResults() {
     try {
         // In production, this would fetch from your backend
@@ -197,13 +674,17 @@ async function fetchResults() {
     
     const results = await response.json();
     
-    // Transform the data to include full image URLs
+    // Transform the data to include full image URLs - the first gallery image is the cover
     return results.map(result => ({
         ...result,
-        imageUrl: `${getBaseURL()}/api/results/${result.id}/image`
+        imageUrl: result.images.length > 0 ? getResultImageUrl(result.id, result.images[0]) : ''
     }));
 }
 
+function getResultImageUrl(resultId, image) {
+    return `${getBaseURL()}/api/results/${resultId}/images/${image.id}?size=thumb&v=${image.image_hash}`;
+}
+
 function renderResults(results) {
     const grid = document.getElementById('resultsGrid');
     grid.innerHTML = '';
@@ -211,11 +692,12 @@ function renderResults(results) {
     results.forEach(result => {
         const resultItem = document.createElement('div');
         resultItem.className = 'result-item';
-        resultItem.innerHTML = `
+        resultItem.innerHTML = html`
             <img src="${result.imageUrl}" alt="${result.description}" class="result-image" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDMwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjZjNmNGY2Ii8+Cjx0ZXh0IHg9IjE1MCIgeT0iMTAwIiBmb250LWZhbWlseT0iQXJpYWwsIHNhbnMtc2VyaWYiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiPk5lbWEgc2xpa2U8L3RleHQ+Cjwvc3ZnPgo='">
             <div class="result-info">
                 <h4>${getCategoryName(result.category)} - ${getSeasonYear(result.year)}</h4>
                 <p>${result.description}</p>
+                <small>Slika u galeriji: ${result.images.length}</small>
             </div>
             <div class="result-actions">
                 <button class="btn btn-edit" onclick="editResult(${result.id})">Uredi</button>
@@ -226,125 +708,3241 @@ function renderResults(results) {
     });
 }
 
-// Documents Management
-async function handleDocumentsSubmit(e) {
-    e.preventDefault();
+// Matches Management
+async function loadMatches() {
+    try {
+        const params = new URLSearchParams();
+        const category = document.getElementById('matchCategoryFilter').value;
+        const year = document.getElementById('matchYearFilter').value;
+        if (category) params.set('category', category);
+        if (year) params.set('year', year);
+        
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.matches}?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch matches');
+        }
+        
+        matches = await response.json();
+        renderMatches();
+    } catch (error) {
+        console.error('Error loading matches:', error);
+        showMessage('Greška pri učitavanju utakmica!', 'error');
+    }
+}
+
+function renderMatches() {
+    const list = document.getElementById('matchesList');
     
-    const formData = new FormData();
-    const title = document.getElementById('documentTitle').value;
-    const category = document.getElementById('documentCategory').value;
-    const file = document.getElementById('documentFile').files[0];
-    const description = document.getElementById('documentDescription').value;
+    // Team names already entered are offered in the home and away fields
+    const teamNames = new Set([Matches.CLUB_TEAM_NAME]);
+    matches.forEach(match => teamNames.add(match.home_team).add(match.away_team));
+    document.getElementById('matchTeamNames').innerHTML = html`${[...teamNames].sort().map(name => html`<option value="${name}">`)}`;
     
-    formData.append('title', title);
-    formData.append('category', category);
-    formData.append('file', file);
-    formData.append('description', description);
+    if (matches.length === 0) {
+        list.innerHTML = '<p>Nema utakmica.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${matches.map(match => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${match.home_team} - ${match.away_team}${match.home_sets === null ? '' : ` ${match.home_sets}:${match.away_sets}`}</h4>
+                <div class="document-meta">
+                    <strong>Kategorija:</strong> ${getCategoryName(match.category)} | 
+                    <strong>Sezona:</strong> ${getSeasonYear(match.year)} | 
+                    <strong>Datum:</strong> ${formatDate(match.match_date)}${match.match_time ? ` ${match.match_time.slice(0, 5)}` : ''}
+                    ${match.venue ? html` | <strong>Dvorana:</strong> ${match.venue}` : ''}
+                    ${match.set_scores ? html`<br><strong>Setovi:</strong> ${match.set_scores}` : ''}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editMatch(${match.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteMatch(${match.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+async function handleMatchesSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('matchId').value;
+    const matchData = {
+        category: document.getElementById('matchCategory').value,
+        year: document.getElementById('matchYear').value,
+        match_date: document.getElementById('matchDate').value,
+        match_time: document.getElementById('matchTime').value,
+        venue: document.getElementById('matchVenue').value,
+        home_team: document.getElementById('matchHomeTeam').value,
+        away_team: document.getElementById('matchAwayTeam').value,
+        set_scores: document.getElementById('matchSetScores').value,
+        home_sets: document.getElementById('matchHomeSets').value,
+        away_sets: document.getElementById('matchAwaySets').value
+    };
     
     try {
-        // In production, this would be a real API call
-        await saveDocument(formData);
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.matches}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(matchData)
+        });
         
-        showMessage('Dokument je uspješno dodan!', 'success');
-        document.getElementById('documentsForm').reset();
-        loadDocuments();
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save match');
+        }
         
+        showMessage('Utakmica je spremljena!', 'success');
+        resetMatchForm();
+        loadMatches();
     } catch (error) {
-        console.error('Error saving document:', error);
-        showMessage('Greška pri dodavanju dokumenta!', 'error');
+        console.error('Error saving match:', error);
+        showMessage(`Greška pri spremanju utakmice: ${error.message}`, 'error');
     }
 }
 
-async function saveDocument(formData) {
-    const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.documents}`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${localStorage.getItem('cms_token')}`
-        },
-        body: formData
+// Category, season and date stay filled in, so the next match of a round is quick to enter
+function resetMatchForm() {
+    document.getElementById('matchId').value = '';
+    ['matchTime', 'matchVenue', 'matchAwayTeam', 'matchSetScores', 'matchHomeSets', 'matchAwaySets'].forEach(id => {
+        document.getElementById(id).value = '';
     });
+    document.getElementById('matchHomeTeam').value = Matches.CLUB_TEAM_NAME;
+    document.getElementById('matchFormTitle').textContent = 'Dodaj utakmicu';
+    document.getElementById('matchSubmitBtn').textContent = 'Dodaj utakmicu';
+    document.getElementById('matchFormCancel').style.display = 'none';
+}
+
+function editMatch(id) {
+    const match = matches.find(m => m.id === id);
+    if (!match) return;
     
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to save document');
-    }
+    document.getElementById('matchId').value = match.id;
+    document.getElementById('matchCategory').value = match.category;
+    document.getElementById('matchYear').value = match.year;
+    document.getElementById('matchDate').value = match.match_date;
+    document.getElementById('matchTime').value = match.match_time ? match.match_time.slice(0, 5) : '';
+    document.getElementById('matchVenue').value = match.venue || '';
+    document.getElementById('matchHomeTeam').value = match.home_team;
+    document.getElementById('matchAwayTeam').value = match.away_team;
+    document.getElementById('matchSetScores').value = match.set_scores || '';
+    document.getElementById('matchHomeSets').value = match.home_sets === null ? '' : match.home_sets;
+    document.getElementById('matchAwaySets').value = match.away_sets === null ? '' : match.away_sets;
+    document.getElementById('matchFormTitle').textContent = `Uredi utakmicu: ${match.home_team} - ${match.away_team}`;
+    document.getElementById('matchSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('matchFormCancel').style.display = 'inline-block';
     
-    return response.json();
+    document.getElementById('matchesForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-async function loadDocuments() {
+async function deleteMatch(id) {
+    if (!confirm('Obrisati ovu utakmicu?')) return;
+    
     try {
-        // In production, this would fetch from your backend
-        const documents = await fetchDocuments();
-        renderDocuments(documents);
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.matches}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete match');
+        }
+        
+        showMessage('Utakmica je obrisana!', 'success');
+        loadMatches();
     } catch (error) {
-        console.error('Error loading documents:', error);
-        showMessage('Greška pri učitavanju dokumenata!', 'error');
+        console.error('Error deleting match:', error);
+        showMessage('Greška pri brisanju utakmice!', 'error');
     }
 }
 
-async function fetchDocuments() {
-    const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.documents}`);
-    
-    if (!response.ok) {
-        throw new Error('Failed to fetch documents');
+// Rosters Management
+async function loadRoster() {
+    try {
+        const params = new URLSearchParams({ all: 'true' });
+        const category = document.getElementById('rosterCategoryFilter').value;
+        const year = document.getElementById('rosterYearFilter').value;
+        if (category) params.set('category', category);
+        if (year) params.set('year', year);
+        
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.rosters}?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch roster');
+        }
+        
+        rosterPlayers = await response.json();
+        renderRoster();
+    } catch (error) {
+        console.error('Error loading roster:', error);
+        showMessage('Greška pri učitavanju igrača!', 'error');
     }
-    
-    const documents = await response.json();
-    
-    // Transform the data to include full file URLs
-    return documents.map(doc => ({
-        ...doc,
-        fileUrl: `${getBaseURL()}/api/documents/${doc.id}/file`,
-        uploadDate: doc.created_at
-    }));
 }
 
-function renderDocuments(documents) {
-    const list = document.getElementById('documentsList');
-    list.innerHTML = '';
+function renderRoster() {
+    const list = document.getElementById('rosterList');
     
-    documents.forEach(doc => {
-        const docItem = document.createElement('div');
-        docItem.className = 'document-item';
-        docItem.innerHTML = `
+    if (rosterPlayers.length === 0) {
+        list.innerHTML = '<p>Nema igrača.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${rosterPlayers.map(player => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>
+                    ${player.jersey_number === null ? '' : `#${player.jersey_number} `}${player.name}
+                    <span class="status-badge ${player.public_consent ? 'status-accepted' : 'status-inactive'}">${player.public_consent ? 'Javno' : 'Bez privole'}</span>
+                </h4>
+                <div class="document-meta">
+                    <strong>Kategorija:</strong> ${getCategoryName(player.category)} | 
+                    <strong>Sezona:</strong> ${getSeasonYear(player.year)} | 
+                    <strong>Pozicija:</strong> ${Rosters.getPositionName(player.position) || '-'}
+                    ${player.member_id ? html` | <strong>Povezan s članom</strong>` : ''}
+                    ${player.photo_filename ? html` | <strong>Fotografija:</strong> ${player.photo_filename}` : ''}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editRosterPlayer(${player.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteRosterPlayer(${player.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+// Active members of the chosen team can be linked to a player (membership role only); the member
+// already linked to the edited player stays selectable, so saving keeps the link
+async function updateRosterMemberOptions(player = null) {
+    const select = document.getElementById('rosterMember');
+    const category = document.getElementById('rosterCategory').value;
+    let members = [];
+    
+    if (hasRole('membership') && category) {
+        try {
+            members = await fetchMembers({ category, active: 'true' });
+        } catch (error) {
+            console.error('Error loading members:', error);
+        }
+    }
+    if (player && player.member_id && !members.some(member => member.id === player.member_id)) {
+        members.unshift({ id: player.member_id, full_name: player.name });
+    }
+    
+    select.innerHTML = html`
+        <option value="">Bez povezanog člana</option>
+        ${members.map(member => html`<option value="${member.id}">${member.full_name}</option>`)}
+    `;
+    select.value = player && player.member_id ? player.member_id : '';
+}
+
+async function handleRosterSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('rosterPlayerId').value;
+    const photo = document.getElementById('rosterPhoto').files[0];
+    
+    const formData = new FormData();
+    formData.append('category', document.getElementById('rosterCategory').value);
+    formData.append('year', document.getElementById('rosterYear').value);
+    formData.append('member_id', document.getElementById('rosterMember').value);
+    formData.append('name', document.getElementById('rosterName').value);
+    formData.append('jersey_number', document.getElementById('rosterJerseyNumber').value);
+    formData.append('position', document.getElementById('rosterPosition').value);
+    formData.append('public_consent', document.getElementById('rosterConsent').checked ? 'true' : 'false');
+    if (photo) {
+        formData.append('photo', photo);
+    } else if (document.getElementById('rosterRemovePhoto').checked) {
+        formData.append('remove_photo', 'true');
+    }
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.rosters}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save player');
+        }
+        
+        showMessage(id ? 'Igrač je ažuriran!' : 'Igrač je dodan!', 'success');
+        resetRosterForm();
+        loadRoster();
+    } catch (error) {
+        console.error('Error saving player:', error);
+        showMessage(`Greška pri spremanju igrača: ${error.message}`, 'error');
+    }
+}
+
+// The team and season stay selected, so a whole roster can be entered in a row
+function resetRosterForm() {
+    const category = document.getElementById('rosterCategory').value;
+    const year = document.getElementById('rosterYear').value;
+    
+    document.getElementById('rosterForm').reset();
+    document.getElementById('rosterPlayerId').value = '';
+    document.getElementById('rosterCategory').value = category;
+    document.getElementById('rosterYear').value = year;
+    document.getElementById('rosterPhotoHint').style.display = 'none';
+    document.getElementById('rosterRemovePhotoGroup').style.display = 'none';
+    document.getElementById('rosterFormTitle').textContent = 'Dodaj igrača';
+    document.getElementById('rosterSubmitBtn').textContent = 'Dodaj igrača';
+    document.getElementById('rosterFormCancel').style.display = 'none';
+    return updateRosterMemberOptions();
+}
+
+async function editRosterPlayer(id) {
+    const player = rosterPlayers.find(p => p.id === id);
+    if (!player) return;
+    
+    await resetRosterForm();
+    document.getElementById('rosterPlayerId').value = player.id;
+    document.getElementById('rosterCategory').value = player.category;
+    document.getElementById('rosterYear').value = player.year;
+    document.getElementById('rosterName').value = player.name;
+    document.getElementById('rosterJerseyNumber').value = player.jersey_number === null ? '' : player.jersey_number;
+    document.getElementById('rosterPosition').value = player.position || '';
+    document.getElementById('rosterConsent').checked = player.public_consent;
+    if (player.photo_filename) {
+        const hint = document.getElementById('rosterPhotoHint');
+        hint.textContent = `Trenutna fotografija: ${player.photo_filename}. Odaberite novu za zamjenu.`;
+        hint.style.display = 'block';
+        document.getElementById('rosterRemovePhotoGroup').style.display = 'block';
+    }
+    document.getElementById('rosterFormTitle').textContent = `Uredi igrača: ${player.name}`;
+    document.getElementById('rosterSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('rosterFormCancel').style.display = 'inline-block';
+    await updateRosterMemberOptions(player);
+    
+    document.getElementById('rosterForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteRosterPlayer(id) {
+    if (!confirm('Ukloniti ovog igrača iz ekipe?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.rosters}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete player');
+        }
+        
+        showMessage('Igrač je uklonjen iz ekipe!', 'success');
+        loadRoster();
+    } catch (error) {
+        console.error('Error deleting player:', error);
+        showMessage('Greška pri uklanjanju igrača!', 'error');
+    }
+}
+
+// Events Management
+async function loadEvents() {
+    try {
+        // Past events are hidden unless asked for; today is the local date of the browser
+        const params = new URLSearchParams();
+        if (!document.getElementById('eventShowPast').checked) {
+            params.set('from', new Date().toLocaleDateString('sv-SE'));
+        }
+        
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.events}?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch events');
+        }
+        
+        events = await response.json();
+        renderEvents();
+    } catch (error) {
+        console.error('Error loading events:', error);
+        showMessage('Greška pri učitavanju događaja!', 'error');
+    }
+}
+
+function formatEventTime(date, time) {
+    return `${formatDate(date)}${time ? ` ${time.slice(0, 5)}` : ''}`;
+}
+
+function renderEvents() {
+    const list = document.getElementById('eventsList');
+    
+    if (events.length === 0) {
+        list.innerHTML = '<p>Nema događaja.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${events.map(event => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${event.status === 'cancelled' ? 'OTKAZANO: ' : ''}${event.title}</h4>
+                <div class="document-meta">
+                    <strong>Kategorija:</strong> ${event.category ? getCategoryName(event.category) : 'Cijeli klub'} | 
+                    <strong>Početak:</strong> ${formatEventTime(event.start_date, event.start_time)}
+                    ${event.end_date || event.end_time ? html` | <strong>Završetak:</strong> ${formatEventTime(event.end_date || event.start_date, event.end_time)}` : ''}
+                    ${event.location ? html` | <strong>Mjesto:</strong> ${event.location}` : ''}
+                </div>
+                ${event.description ? html`<p>${event.description}</p>` : ''}
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editEvent(${event.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteEvent(${event.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+async function handleEventsSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('eventId').value;
+    const eventData = {
+        title: document.getElementById('eventTitle').value,
+        category: document.getElementById('eventCategory').value,
+        start_date: document.getElementById('eventStartDate').value,
+        start_time: document.getElementById('eventStartTime').value,
+        end_date: document.getElementById('eventEndDate').value,
+        end_time: document.getElementById('eventEndTime').value,
+        location: document.getElementById('eventLocation').value,
+        description: document.getElementById('eventDescription').value,
+        status: document.getElementById('eventCancelled').checked ? 'cancelled' : 'scheduled'
+    };
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.events}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(eventData)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save event');
+        }
+        
+        showMessage('Događaj je spremljen!', 'success');
+        resetEventForm();
+        loadEvents();
+    } catch (error) {
+        console.error('Error saving event:', error);
+        showMessage(`Greška pri spremanju događaja: ${error.message}`, 'error');
+    }
+}
+
+function resetEventForm() {
+    document.getElementById('eventsForm').reset();
+    document.getElementById('eventId').value = '';
+    document.getElementById('eventFormTitle').textContent = 'Dodaj događaj';
+    document.getElementById('eventSubmitBtn').textContent = 'Dodaj događaj';
+    document.getElementById('eventFormCancel').style.display = 'none';
+}
+
+function editEvent(id) {
+    const event = events.find(e => e.id === id);
+    if (!event) return;
+    
+    document.getElementById('eventId').value = event.id;
+    document.getElementById('eventTitle').value = event.title;
+    document.getElementById('eventCategory').value = event.category || '';
+    document.getElementById('eventStartDate').value = event.start_date;
+    document.getElementById('eventStartTime').value = event.start_time ? event.start_time.slice(0, 5) : '';
+    document.getElementById('eventEndDate').value = event.end_date || '';
+    document.getElementById('eventEndTime').value = event.end_time ? event.end_time.slice(0, 5) : '';
+    document.getElementById('eventLocation').value = event.location || '';
+    document.getElementById('eventDescription').value = event.description || '';
+    document.getElementById('eventCancelled').checked = event.status === 'cancelled';
+    document.getElementById('eventFormTitle').textContent = `Uredi događaj: ${event.title}`;
+    document.getElementById('eventSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('eventFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('eventsForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Deleted events disappear from subscribed calendars; cancelling shows them as cancelled
+async function deleteEvent(id) {
+    if (!confirm('Obrisati ovaj događaj? Ako je događaj otkazan, bolje ga je označiti kao otkazan.')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.events}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete event');
+        }
+        
+        showMessage('Događaj je obrisan!', 'success');
+        loadEvents();
+    } catch (error) {
+        console.error('Error deleting event:', error);
+        showMessage('Greška pri brisanju događaja!', 'error');
+    }
+}
+
+// Articles Management
+// Load the first page of articles for the status filter, or append the next page
+async function loadArticles(append = false) {
+    try {
+        const status = document.getElementById('articleStatusFilter').value;
+        const offset = append ? articles.length : 0;
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.articles}?status=${status}&limit=${ARTICLES_PAGE_SIZE}&offset=${offset}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch articles');
+        }
+        
+        const data = await response.json();
+        articles = append ? [...articles, ...data.articles] : data.articles;
+        articlesTotal = data.total;
+        renderArticles();
+    } catch (error) {
+        console.error('Error loading articles:', error);
+        showMessage('Greška pri učitavanju novosti!', 'error');
+    }
+}
+
+function renderArticles() {
+    const list = document.getElementById('articlesList');
+    document.getElementById('articlesMore').style.display = articles.length < articlesTotal ? 'inline-block' : 'none';
+    
+    if (articles.length === 0) {
+        list.innerHTML = '<p>Nema novosti.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${articles.map(article => {
+        const state = Articles.getArticleState(article);
+        return html`
+            <div class="document-item">
+                <div class="document-info">
+                    <h4>${article.title} <span class="status-badge ${ARTICLE_STATE_BADGES[state]}">${ARTICLE_STATE_LABELS[state]}</span></h4>
+                    <div class="document-meta">
+                        <strong>Adresa:</strong> ${article.slug} | 
+                        <strong>Datum objave:</strong> ${article.published_at ? formatDateTime(article.published_at) : '-'}
+                        ${article.cover_filename ? html` | <strong>Naslovna slika:</strong> ${article.cover_filename}` : ''}
+                    </div>
+                    <p>${article.excerpt}</p>
+                </div>
+                <div class="document-actions">
+                    ${state === 'published' ? html`<a class="btn" href="/${Articles.getArticleUrl(article)}" target="_blank" rel="noopener">Pogledaj</a>` : ''}
+                    <button class="btn btn-edit" onclick="editArticle(${article.id})">Uredi</button>
+                    <button class="btn btn-delete" onclick="deleteArticle(${article.id})">Obriši</button>
+                </div>
+            </div>
+        `;
+    })}`;
+}
+
+// datetime-local inputs hold local time without a timezone
+function toDateTimeLocalValue(date) {
+    const value = new Date(date);
+    return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+async function handleArticleSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('articleId').value;
+    const cover = document.getElementById('articleCover').files[0];
+    const publishedAt = document.getElementById('articlePublishedAt').value;
+    
+    const formData = new FormData();
+    formData.append('title', document.getElementById('articleTitle').value);
+    formData.append('slug', document.getElementById('articleSlug').value);
+    formData.append('body', document.getElementById('articleBody').value);
+    formData.append('status', document.getElementById('articleStatus').value);
+    // Sent as UTC, so the server does not need to know the editor's timezone
+    formData.append('published_at', publishedAt ? new Date(publishedAt).toISOString() : '');
+    if (cover) {
+        formData.append('cover', cover);
+    } else if (document.getElementById('articleRemoveCover').checked) {
+        formData.append('remove_cover', 'true');
+    }
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.articles}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save article');
+        }
+        
+        const article = await response.json();
+        const state = Articles.getArticleState(article);
+        showMessage(state === 'scheduled'
+            ? `Novost je zakazana za ${formatDateTime(article.published_at)}!`
+            : `Novost je spremljena (${ARTICLE_STATE_LABELS[state].toLowerCase()})!`, 'success');
+        resetArticleForm();
+        loadArticles();
+    } catch (error) {
+        console.error('Error saving article:', error);
+        showMessage(`Greška pri spremanju novosti: ${error.message}`, 'error');
+    }
+}
+
+function resetArticleForm() {
+    document.getElementById('articlesForm').reset();
+    document.getElementById('articleId').value = '';
+    document.getElementById('articleCoverHint').style.display = 'none';
+    document.getElementById('articleRemoveCoverGroup').style.display = 'none';
+    document.getElementById('articleFormTitle').textContent = 'Dodaj novost';
+    document.getElementById('articleSubmitBtn').textContent = 'Dodaj novost';
+    document.getElementById('articleFormCancel').style.display = 'none';
+}
+
+function editArticle(id) {
+    const article = articles.find(a => a.id === id);
+    if (!article) return;
+    
+    resetArticleForm();
+    document.getElementById('articleId').value = article.id;
+    document.getElementById('articleTitle').value = article.title;
+    document.getElementById('articleSlug').value = article.slug;
+    document.getElementById('articleBody').value = article.body;
+    document.getElementById('articleStatus').value = article.status;
+    document.getElementById('articlePublishedAt').value = article.published_at ? toDateTimeLocalValue(article.published_at) : '';
+    if (article.cover_filename) {
+        const hint = document.getElementById('articleCoverHint');
+        hint.textContent = `Trenutna slika: ${article.cover_filename}. Odaberite novu za zamjenu.`;
+        hint.style.display = 'block';
+        document.getElementById('articleRemoveCoverGroup').style.display = 'block';
+    }
+    document.getElementById('articleFormTitle').textContent = `Uredi novost: ${article.title}`;
+    document.getElementById('articleSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('articleFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('articlesForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteArticle(id) {
+    if (!confirm('Trajno obrisati ovu novost i njezinu naslovnu sliku?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.articles}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete article');
+        }
+        
+        showMessage('Novost je obrisana!', 'success');
+        loadArticles();
+    } catch (error) {
+        console.error('Error deleting article:', error);
+        showMessage('Greška pri brisanju novosti!', 'error');
+    }
+}
+
+// People Management - coaches and board members
+async function loadPeople() {
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.people}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch people');
+        }
+        
+        people = await response.json();
+        renderPeople();
+    } catch (error) {
+        console.error('Error loading people:', error);
+        showMessage('Greška pri učitavanju trenera i uprave!', 'error');
+    }
+}
+
+function renderPeople() {
+    const list = document.getElementById('peopleList');
+    
+    const uniqueValues = key => [...new Set(people.map(person => person[key]).filter(Boolean))];
+    document.getElementById('personRoleNames').innerHTML = html`${uniqueValues('role').map(name => html`<option value="${name}">`)}`;
+    document.getElementById('personTeamNames').innerHTML = html`${uniqueValues('team').map(name => html`<option value="${name}">`)}`;
+    
+    if (people.length === 0) {
+        list.innerHTML = '<p>Nema trenera ni članova uprave.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${people.map(person => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${person.name}</h4>
+                <div class="document-meta">
+                    <strong>Stranica:</strong> ${PERSON_TYPE_LABELS[person.type]} | 
+                    ${person.type === 'coach'
+                        ? html`<strong>Ekipe:</strong> ${person.team || '-'}`
+                        : html`<strong>Funkcija:</strong> ${person.role}`} | 
+                    <strong>Redoslijed:</strong> ${person.sort_order}
+                    ${person.photo_filename ? html` | <strong>Fotografija:</strong> ${person.photo_filename}` : ''}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editPerson(${person.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deletePerson(${person.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+async function handlePersonSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('personId').value;
+    const photo = document.getElementById('personPhoto').files[0];
+    
+    const formData = new FormData();
+    formData.append('type', document.getElementById('personType').value);
+    formData.append('name', document.getElementById('personName').value);
+    formData.append('role', document.getElementById('personRole').value);
+    formData.append('team', document.getElementById('personTeam').value);
+    formData.append('bio', document.getElementById('personBio').value);
+    formData.append('link', document.getElementById('personLink').value);
+    formData.append('sort_order', document.getElementById('personSortOrder').value);
+    if (photo) {
+        formData.append('photo', photo);
+    } else if (document.getElementById('personRemovePhoto').checked) {
+        formData.append('remove_photo', 'true');
+    }
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.people}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save person');
+        }
+        
+        showMessage(id ? 'Osoba je ažurirana!' : 'Osoba je dodana!', 'success');
+        resetPersonForm();
+        loadPeople();
+    } catch (error) {
+        console.error('Error saving person:', error);
+        showMessage(`Greška pri spremanju osobe: ${error.message}`, 'error');
+    }
+}
+
+function resetPersonForm() {
+    document.getElementById('peopleForm').reset();
+    document.getElementById('personId').value = '';
+    document.getElementById('personPhotoHint').style.display = 'none';
+    document.getElementById('personRemovePhotoGroup').style.display = 'none';
+    document.getElementById('personFormTitle').textContent = 'Dodaj osobu';
+    document.getElementById('personSubmitBtn').textContent = 'Dodaj osobu';
+    document.getElementById('personFormCancel').style.display = 'none';
+}
+
+function editPerson(id) {
+    const person = people.find(p => p.id === id);
+    if (!person) return;
+    
+    resetPersonForm();
+    document.getElementById('personId').value = person.id;
+    document.getElementById('personType').value = person.type;
+    document.getElementById('personName').value = person.name;
+    document.getElementById('personRole').value = person.role || '';
+    document.getElementById('personTeam').value = person.team || '';
+    document.getElementById('personBio').value = person.bio || '';
+    document.getElementById('personLink').value = person.link || '';
+    document.getElementById('personSortOrder').value = person.sort_order;
+    if (person.photo_filename) {
+        const hint = document.getElementById('personPhotoHint');
+        hint.textContent = `Trenutna fotografija: ${person.photo_filename}. Odaberite novu za zamjenu.`;
+        hint.style.display = 'block';
+        document.getElementById('personRemovePhotoGroup').style.display = 'block';
+    }
+    document.getElementById('personFormTitle').textContent = `Uredi osobu: ${person.name}`;
+    document.getElementById('personSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('personFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('peopleForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deletePerson(id) {
+    if (!confirm('Trajno obrisati ovu osobu i njezinu fotografiju?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.people}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete person');
+        }
+        
+        showMessage('Osoba je obrisana!', 'success');
+        loadPeople();
+    } catch (error) {
+        console.error('Error deleting person:', error);
+        showMessage('Greška pri brisanju osobe!', 'error');
+    }
+}
+
+// Partners Management
+async function loadPartners() {
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.partners}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch partners');
+        }
+        
+        partners = await response.json();
+        renderPartners();
+    } catch (error) {
+        console.error('Error loading partners:', error);
+        showMessage('Greška pri učitavanju prijatelja kluba!', 'error');
+    }
+}
+
+function renderPartners() {
+    const list = document.getElementById('partnersList');
+    
+    if (partners.length === 0) {
+        list.innerHTML = '<p>Nema prijatelja kluba.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${partners.map(partner => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${partner.name}</h4>
+                <div class="document-meta">
+                    <strong>Web stranica:</strong> ${partner.link || '-'} | 
+                    <strong>Redoslijed:</strong> ${partner.sort_order}
+                    ${partner.logo_filename ? html` | <strong>Logo:</strong> ${partner.logo_filename}` : ''}
+                </div>
+                ${partner.description ? html`<p>${partner.description}</p>` : ''}
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editPartner(${partner.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deletePartner(${partner.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+async function handlePartnerSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('partnerId').value;
+    const logo = document.getElementById('partnerLogo').files[0];
+    
+    const formData = new FormData();
+    formData.append('name', document.getElementById('partnerName').value);
+    formData.append('description', document.getElementById('partnerDescription').value);
+    formData.append('link', document.getElementById('partnerLink').value);
+    formData.append('sort_order', document.getElementById('partnerSortOrder').value);
+    if (logo) {
+        formData.append('logo', logo);
+    } else if (document.getElementById('partnerRemoveLogo').checked) {
+        formData.append('remove_logo', 'true');
+    }
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.partners}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save partner');
+        }
+        
+        showMessage(id ? 'Prijatelj kluba je ažuriran!' : 'Prijatelj kluba je dodan!', 'success');
+        resetPartnerForm();
+        loadPartners();
+    } catch (error) {
+        console.error('Error saving partner:', error);
+        showMessage(`Greška pri spremanju prijatelja kluba: ${error.message}`, 'error');
+    }
+}
+
+function resetPartnerForm() {
+    document.getElementById('partnersForm').reset();
+    document.getElementById('partnerId').value = '';
+    document.getElementById('partnerLogoHint').style.display = 'none';
+    document.getElementById('partnerRemoveLogoGroup').style.display = 'none';
+    document.getElementById('partnerFormTitle').textContent = 'Dodaj prijatelja kluba';
+    document.getElementById('partnerSubmitBtn').textContent = 'Dodaj prijatelja';
+    document.getElementById('partnerFormCancel').style.display = 'none';
+}
+
+function editPartner(id) {
+    const partner = partners.find(p => p.id === id);
+    if (!partner) return;
+    
+    resetPartnerForm();
+    document.getElementById('partnerId').value = partner.id;
+    document.getElementById('partnerName').value = partner.name;
+    document.getElementById('partnerDescription').value = partner.description || '';
+    document.getElementById('partnerLink').value = partner.link || '';
+    document.getElementById('partnerSortOrder').value = partner.sort_order;
+    if (partner.logo_filename) {
+        const hint = document.getElementById('partnerLogoHint');
+        hint.textContent = `Trenutni logo: ${partner.logo_filename}. Odaberite novi za zamjenu.`;
+        hint.style.display = 'block';
+        document.getElementById('partnerRemoveLogoGroup').style.display = 'block';
+    }
+    document.getElementById('partnerFormTitle').textContent = `Uredi prijatelja kluba: ${partner.name}`;
+    document.getElementById('partnerSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('partnerFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('partnersForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deletePartner(id) {
+    if (!confirm('Trajno obrisati ovog prijatelja kluba i njegov logo?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.partners}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete partner');
+        }
+        
+        showMessage('Prijatelj kluba je obrisan!', 'success');
+        loadPartners();
+    } catch (error) {
+        console.error('Error deleting partner:', error);
+        showMessage('Greška pri brisanju prijatelja kluba!', 'error');
+    }
+}
+
+// Training Schedule Management
+async function loadTrainingSchedule() {
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.trainingSchedule}?all=true`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch training schedule');
+        }
+        
+        ({ slots: trainingSlots, exceptions: trainingExceptions } = await response.json());
+        renderTrainingSlots();
+        renderTrainingExceptions();
+    } catch (error) {
+        console.error('Error loading training schedule:', error);
+        showMessage('Greška pri učitavanju termina treninga!', 'error');
+    }
+}
+
+function getTrainingSlotLabel(slot) {
+    return `${slot.group_name} - ${Training.getWeekdayName(slot.weekday)} ${slot.start_time.slice(0, 5)}-${slot.end_time.slice(0, 5)}`;
+}
+
+function renderTrainingSlots() {
+    const list = document.getElementById('trainingSlotsList');
+    
+    const groupNames = [...new Set(trainingSlots.map(slot => slot.group_name))];
+    document.getElementById('trainingGroupNames').innerHTML = html`${groupNames.map(name => html`<option value="${name}">`)}`;
+    
+    const slotSelect = document.getElementById('trainingExceptionSlot');
+    const selected = slotSelect.value;
+    slotSelect.innerHTML = html`
+        <option value="">Svi treninzi</option>
+        ${trainingSlots.map(slot => html`<option value="${slot.id}">${getTrainingSlotLabel(slot)}</option>`)}
+    `;
+    slotSelect.value = selected;
+    
+    if (trainingSlots.length === 0) {
+        list.innerHTML = '<p>Nema termina treninga.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${trainingSlots.map(slot => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${getTrainingSlotLabel(slot)}</h4>
+                <div class="document-meta">
+                    <strong>Dvorana:</strong> ${slot.hall || '-'} | 
+                    <strong>Trener:</strong> ${slot.coach || '-'} | 
+                    <strong>Redoslijed:</strong> ${slot.sort_order}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editTrainingSlot(${slot.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteTrainingSlot(${slot.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+function renderTrainingExceptions() {
+    const list = document.getElementById('trainingExceptionsList');
+    
+    if (trainingExceptions.length === 0) {
+        list.innerHTML = '<p>Nema otkazanih treninga.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${trainingExceptions.map(exception => {
+        const slot = trainingSlots.find(s => s.id === exception.slot_id);
+        return html`
+            <div class="document-item">
+                <div class="document-info">
+                    <h4>${formatDate(exception.start_date)}${exception.end_date !== exception.start_date ? ` - ${formatDate(exception.end_date)}` : ''}</h4>
+                    <div class="document-meta">
+                        <strong>Termin:</strong> ${slot ? getTrainingSlotLabel(slot) : 'Svi treninzi'}
+                        ${exception.note ? html` | <strong>Napomena:</strong> ${exception.note}` : ''}
+                    </div>
+                </div>
+                <div class="document-actions">
+                    <button class="btn btn-edit" onclick="editTrainingException(${exception.id})">Uredi</button>
+                    <button class="btn btn-delete" onclick="deleteTrainingException(${exception.id})">Obriši</button>
+                </div>
+            </div>
+        `;
+    })}`;
+}
+
+async function saveTrainingScheduleItem(path, id, data) {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.trainingSchedule}/${path}${id ? `/${id}` : ''}`, {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save training schedule');
+    }
+}
+
+async function deleteTrainingScheduleItem(path, id) {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.trainingSchedule}/${path}/${id}`, {
+        method: 'DELETE'
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete training schedule');
+    }
+}
+
+async function handleTrainingSlotSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        await saveTrainingScheduleItem('slots', document.getElementById('trainingSlotId').value, {
+            group_name: document.getElementById('trainingGroup').value,
+            weekday: document.getElementById('trainingWeekday').value,
+            start_time: document.getElementById('trainingStartTime').value,
+            end_time: document.getElementById('trainingEndTime').value,
+            hall: document.getElementById('trainingHall').value,
+            coach: document.getElementById('trainingCoach').value,
+            sort_order: document.getElementById('trainingSortOrder').value
+        });
+        
+        showMessage('Termin treninga je spremljen!', 'success');
+        resetTrainingSlotForm();
+        loadTrainingSchedule();
+    } catch (error) {
+        console.error('Error saving training slot:', error);
+        showMessage(`Greška pri spremanju termina: ${error.message}`, 'error');
+    }
+}
+
+function resetTrainingSlotForm() {
+    document.getElementById('trainingSlotForm').reset();
+    document.getElementById('trainingSlotId').value = '';
+    document.getElementById('trainingSlotFormTitle').textContent = 'Dodaj termin treninga';
+    document.getElementById('trainingSlotSubmitBtn').textContent = 'Dodaj termin';
+    document.getElementById('trainingSlotFormCancel').style.display = 'none';
+}
+
+function editTrainingSlot(id) {
+    const slot = trainingSlots.find(s => s.id === id);
+    if (!slot) return;
+    
+    document.getElementById('trainingSlotId').value = slot.id;
+    document.getElementById('trainingGroup').value = slot.group_name;
+    document.getElementById('trainingWeekday').value = slot.weekday;
+    document.getElementById('trainingStartTime').value = slot.start_time.slice(0, 5);
+    document.getElementById('trainingEndTime').value = slot.end_time.slice(0, 5);
+    document.getElementById('trainingHall').value = slot.hall || '';
+    document.getElementById('trainingCoach').value = slot.coach || '';
+    document.getElementById('trainingSortOrder').value = slot.sort_order;
+    document.getElementById('trainingSlotFormTitle').textContent = `Uredi termin: ${getTrainingSlotLabel(slot)}`;
+    document.getElementById('trainingSlotSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('trainingSlotFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('trainingSlotForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteTrainingSlot(id) {
+    if (!confirm('Obrisati ovaj termin treninga? Obrisat će se i njegova otkazivanja.')) return;
+    
+    try {
+        await deleteTrainingScheduleItem('slots', id);
+        showMessage('Termin treninga je obrisan!', 'success');
+        loadTrainingSchedule();
+    } catch (error) {
+        console.error('Error deleting training slot:', error);
+        showMessage('Greška pri brisanju termina!', 'error');
+    }
+}
+
+async function handleTrainingExceptionSubmit(e) {
+    e.preventDefault();
+    
+    try {
+        await saveTrainingScheduleItem('exceptions', document.getElementById('trainingExceptionId').value, {
+            slot_id: document.getElementById('trainingExceptionSlot').value,
+            start_date: document.getElementById('trainingExceptionStart').value,
+            end_date: document.getElementById('trainingExceptionEnd').value,
+            note: document.getElementById('trainingExceptionNote').value
+        });
+        
+        showMessage('Otkazivanje je spremljeno!', 'success');
+        resetTrainingExceptionForm();
+        loadTrainingSchedule();
+    } catch (error) {
+        console.error('Error saving training exception:', error);
+        showMessage(`Greška pri spremanju otkazivanja: ${error.message}`, 'error');
+    }
+}
+
+function resetTrainingExceptionForm() {
+    document.getElementById('trainingExceptionForm').reset();
+    document.getElementById('trainingExceptionId').value = '';
+    document.getElementById('trainingExceptionFormTitle').textContent = 'Otkaži treninge';
+    document.getElementById('trainingExceptionFormCancel').style.display = 'none';
+}
+
+function editTrainingException(id) {
+    const exception = trainingExceptions.find(e => e.id === id);
+    if (!exception) return;
+    
+    document.getElementById('trainingExceptionId').value = exception.id;
+    document.getElementById('trainingExceptionSlot').value = exception.slot_id || '';
+    document.getElementById('trainingExceptionStart').value = exception.start_date;
+    document.getElementById('trainingExceptionEnd').value = exception.end_date;
+    document.getElementById('trainingExceptionNote').value = exception.note || '';
+    document.getElementById('trainingExceptionFormTitle').textContent = 'Uredi otkazivanje';
+    document.getElementById('trainingExceptionFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('trainingExceptionForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteTrainingException(id) {
+    if (!confirm('Obrisati ovo otkazivanje? Treninzi će se ponovno prikazivati kao redovni.')) return;
+    
+    try {
+        await deleteTrainingScheduleItem('exceptions', id);
+        showMessage('Otkazivanje je obrisano!', 'success');
+        loadTrainingSchedule();
+    } catch (error) {
+        console.error('Error deleting training exception:', error);
+        showMessage('Greška pri brisanju otkazivanja!', 'error');
+    }
+}
+
+// Seasons Management
+async function loadSeasons() {
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.seasons}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch seasons');
+        }
+        
+        seasons = await response.json();
+        renderSeasons();
+        updateResultYearOptions();
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+        showMessage('Greška pri učitavanju sezona!', 'error');
+    }
+}
+
+// Hidden seasons are listed too, so results can be prepared before a season is shown
+function updateResultYearOptions() {
+    const selects = [
+        { id: 'resultYear', empty: 'Odaberite sezonu' },
+        { id: 'matchYear', empty: 'Odaberite sezonu' },
+        { id: 'matchYearFilter', empty: 'Sve sezone' },
+        { id: 'rosterYear', empty: 'Odaberite sezonu' },
+        { id: 'rosterYearFilter', empty: 'Sve sezone' },
+        { id: 'feePlanYear', empty: 'Odaberite sezonu' },
+        { id: 'feeYearFilter', empty: 'Sve sezone' }
+    ];
+    
+    selects.forEach(({ id, empty }) => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = html`
+            <option value="">${empty}</option>
+            ${seasons.map(season => html`<option value="${season.year}">${season.label}${season.published ? '' : ' (skrivena)'}</option>`)}
+        `;
+        select.value = selected;
+    });
+}
+
+function renderSeasons() {
+    const list = document.getElementById('seasonsList');
+    
+    if (seasons.length === 0) {
+        list.innerHTML = '<p>Nema sezona.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${seasons.map(season => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${season.label}</h4>
+                <div class="document-meta">
+                    <strong>Početna godina:</strong> ${season.year} | 
+                    <strong>Adresa:</strong> rezultati.html?sezona=${season.slug} | 
+                    <strong>Status:</strong> ${season.published ? 'Prikazana' : 'Skrivena'}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editSeason(${season.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteSeason(${season.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+async function handleSeasonsSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('seasonId').value;
+    const seasonData = {
+        year: document.getElementById('seasonYear').value,
+        label: document.getElementById('seasonLabel').value,
+        published: document.getElementById('seasonPublished').checked
+    };
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.seasons}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(seasonData)
+        });
+        
+        if (response.status === 409) {
+            showMessage('Sezona s tom godinom ili nazivom već postoji!', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save season');
+        }
+        
+        showMessage('Sezona je spremljena!', 'success');
+        resetSeasonForm();
+        await loadSeasons();
+        loadResults();
+    } catch (error) {
+        console.error('Error saving season:', error);
+        showMessage('Greška pri spremanju sezone!', 'error');
+    }
+}
+
+function resetSeasonForm() {
+    document.getElementById('seasonsForm').reset();
+    document.getElementById('seasonId').value = '';
+    document.getElementById('seasonYear').disabled = false;
+    document.getElementById('seasonLabel').placeholder = 'npr. 2025/26';
+    document.getElementById('seasonFormTitle').textContent = 'Dodaj sezonu';
+    document.getElementById('seasonSubmitBtn').textContent = 'Dodaj sezonu';
+    document.getElementById('seasonFormCancel').style.display = 'none';
+}
+
+// The starting year cannot be changed - results are stored under it
+function editSeason(id) {
+    const season = seasons.find(s => s.id === id);
+    if (!season) return;
+    
+    document.getElementById('seasonId').value = season.id;
+    document.getElementById('seasonYear').value = season.year;
+    document.getElementById('seasonYear').disabled = true;
+    document.getElementById('seasonLabel').value = season.label;
+    document.getElementById('seasonPublished').checked = season.published;
+    document.getElementById('seasonFormTitle').textContent = `Uredi sezonu: ${season.label}`;
+    document.getElementById('seasonSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('seasonFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('seasonsForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteSeason(id) {
+    if (!confirm('Obrisati ovu sezonu?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.seasons}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (response.status === 409) {
+            showMessage('Sezona ima rezultate (možda u košu) - sakrijte je umjesto brisanja.', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete season');
+        }
+        
+        showMessage('Sezona je obrisana!', 'success');
+        loadSeasons();
+    } catch (error) {
+        console.error('Error deleting season:', error);
+        showMessage('Greška pri brisanju sezone!', 'error');
+    }
+}
+
+// Categories Management
+async function loadCategories() {
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.categories}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch categories');
+        }
+        
+        categories = await response.json();
+        renderCategories();
+        updateCategoryOptions();
+    } catch (error) {
+        console.error('Error loading categories:', error);
+        showMessage('Greška pri učitavanju kategorija!', 'error');
+    }
+}
+
+function getCategoriesOfType(type) {
+    return categories.filter(category => category.type === type);
+}
+
+// Fill every category select, keeping the current choices
+function updateCategoryOptions() {
+    const selects = [
+        { id: 'resultCategory', type: 'team', empty: 'Odaberite kategoriju' },
+        { id: 'memberCategory', type: 'team', empty: 'Odaberite kategoriju' },
+        { id: 'memberCategoryFilter', type: 'team', empty: 'Sve kategorije' },
+        { id: 'matchCategory', type: 'team', empty: 'Odaberite kategoriju' },
+        { id: 'matchCategoryFilter', type: 'team', empty: 'Sve kategorije' },
+        { id: 'rosterCategory', type: 'team', empty: 'Odaberite kategoriju' },
+        { id: 'rosterCategoryFilter', type: 'team', empty: 'Sve kategorije' },
+        { id: 'feePlanCategory', type: 'team', empty: 'Odaberite kategoriju' },
+        { id: 'feeCategoryFilter', type: 'team', empty: 'Sve kategorije' },
+        { id: 'attendanceCategory', type: 'team', empty: 'Odaberite kategoriju' },
+        { id: 'attendanceReportCategory', type: 'team', empty: 'Sve kategorije' },
+        { id: 'eventCategory', type: 'team', empty: 'Cijeli klub' },
+        { id: 'documentCategory', type: 'document', empty: 'Odaberite kategoriju' }
+    ];
+    
+    selects.forEach(({ id, type, empty }) => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = html`
+            <option value="">${empty}</option>
+            ${getCategoriesOfType(type).map(category => html`<option value="${category.slug}">${category.name}</option>`)}
+        `;
+        select.value = selected;
+    });
+}
+
+function renderCategories() {
+    const list = document.getElementById('categoriesList');
+    
+    if (categories.length === 0) {
+        list.innerHTML = '<p>Nema kategorija.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${['team', 'document'].map(type => html`
+        <h3>${getCategoryTypeName(type)}</h3>
+        ${getCategoriesOfType(type).map(category => html`
+            <div class="document-item">
+                <div class="document-info">
+                    <h4>${category.name}</h4>
+                    <div class="document-meta">
+                        <strong>Oznaka:</strong> ${category.slug} | 
+                        <strong>Redoslijed:</strong> ${category.sort_order}
+                    </div>
+                </div>
+                <div class="document-actions">
+                    <button class="btn btn-edit" onclick="editCategory(${category.id})">Uredi</button>
+                    <button class="btn btn-delete" onclick="deleteCategory(${category.id})">Obriši</button>
+                </div>
+            </div>
+        `)}
+    `)}`;
+}
+
+async function handleCategoriesSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('categoryId').value;
+    const categoryData = {
+        type: document.getElementById('categoryType').value,
+        name: document.getElementById('categoryName').value,
+        slug: document.getElementById('categorySlug').value,
+        sort_order: document.getElementById('categorySortOrder').value
+    };
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.categories}${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(categoryData)
+        });
+        
+        if (response.status === 409) {
+            showMessage('Kategorija s tom oznakom već postoji!', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save category');
+        }
+        
+        showMessage('Kategorija je spremljena!', 'success');
+        resetCategoryForm();
+        await loadCategories();
+        loadResults();
+        loadDocuments();
+    } catch (error) {
+        console.error('Error saving category:', error);
+        showMessage('Greška pri spremanju kategorije!', 'error');
+    }
+}
+
+function resetCategoryForm() {
+    document.getElementById('categoriesForm').reset();
+    document.getElementById('categoryId').value = '';
+    document.getElementById('categoryType').disabled = false;
+    document.getElementById('categorySlug').disabled = false;
+    document.getElementById('categorySlug').placeholder = 'npr. starije-kadetkinje';
+    document.getElementById('categoryFormTitle').textContent = 'Dodaj kategoriju';
+    document.getElementById('categorySubmitBtn').textContent = 'Dodaj kategoriju';
+    document.getElementById('categoryFormCancel').style.display = 'none';
+}
+
+// The type and the slug cannot be changed - results, documents and members refer to the slug
+function editCategory(id) {
+    const category = categories.find(c => c.id === id);
+    if (!category) return;
+    
+    document.getElementById('categoryId').value = category.id;
+    document.getElementById('categoryType').value = category.type;
+    document.getElementById('categoryType').disabled = true;
+    document.getElementById('categoryName').value = category.name;
+    document.getElementById('categorySlug').value = category.slug;
+    document.getElementById('categorySlug').disabled = true;
+    document.getElementById('categorySortOrder').value = category.sort_order;
+    document.getElementById('categoryFormTitle').textContent = `Uredi kategoriju: ${category.name}`;
+    document.getElementById('categorySubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('categoryFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('categoriesForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteCategory(id) {
+    if (!confirm('Obrisati ovu kategoriju?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.categories}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (response.status === 409) {
+            showMessage('Kategoriju koriste rezultati, dokumenti ili članovi (možda u košu) - ne može se obrisati.', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete category');
+        }
+        
+        showMessage('Kategorija je obrisana!', 'success');
+        loadCategories();
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        showMessage('Greška pri brisanju kategorije!', 'error');
+    }
+}
+
+// Documents Management
+async function handleDocumentsSubmit(e) {
+    e.preventDefault();
+    
+    const formData = new FormData();
+    const title = document.getElementById('documentTitle').value;
+    const category = document.getElementById('documentCategory').value;
+    const file = document.getElementById('documentFile').files[0];
+    const description = document.getElementById('documentDescription').value;
+    
+    const id = document.getElementById('documentId').value;
+    
+    formData.append('title', title);
+    formData.append('category', category);
+    if (file) {
+        formData.append('file', file);
+    }
+    formData.append('description', description);
+    
+    try {
+        if (id) {
+            await updateDocument(id, formData);
+            showMessage('Dokument je uspješno ažuriran!', 'success');
+        } else {
+            await saveDocument(formData);
+            showMessage('Dokument je uspješno dodan!', 'success');
+        }
+        
+        resetDocumentForm();
+        loadDocuments();
+        
+    } catch (error) {
+        console.error('Error saving document:', error);
+        showMessage('Greška pri dodavanju dokumenta!', 'error');
+    }
+}
+
+async function saveDocument(formData) {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.documents}`, {
+        method: 'POST',
+        body: formData
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save document');
+    }
+    
+    return response.json();
+}
+
+async function updateDocument(id, formData) {
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.documents}/${id}`, {
+        method: 'PUT',
+        body: formData
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update document');
+    }
+    
+    return response.json();
+}
+
+function resetDocumentForm() {
+    document.getElementById('documentsForm').reset();
+    document.getElementById('documentId').value = '';
+    document.getElementById('documentFile').required = true;
+    document.getElementById('documentFileHint').style.display = 'none';
+    document.getElementById('documentFormTitle').textContent = 'Dodaj dokument';
+    document.getElementById('documentSubmitBtn').textContent = 'Dodaj dokument';
+    document.getElementById('documentFormCancel').style.display = 'none';
+}
+
+async function loadDocuments() {
+    try {
+        // In production, this would fetch from your backend
+        const documents = await fetchDocuments();
+        renderDocuments(documents);
+    } catch (error) {
+        console.error('Error loading documents:', error);
+        showMessage('Greška pri učitavanju dokumenata!', 'error');
+    }
+}
+
+async function fetchDocuments() {
+    const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.documents}`);
+    
+    if (!response.ok) {
+        throw new Error('Failed to fetch documents');
+    }
+    
+    const documents = await response.json();
+    
+    // Transform the data to include full file URLs
+    return documents.map(doc => ({
+        ...doc,
+        fileUrl: `${getBaseURL()}/api/documents/${doc.id}/file?v=${doc.file_hash}`,
+        uploadDate: doc.created_at
+    }));
+}
+
+function renderDocuments(documents) {
+    const list = document.getElementById('documentsList');
+    list.innerHTML = '';
+    
+    documents.forEach(doc => {
+        const docItem = document.createElement('div');
+        docItem.className = 'document-item';
+        docItem.innerHTML = html`
             <div class="document-info">
                 <h4>${doc.title}</h4>
                 <div class="document-meta">
-                    <strong>Kategorija:</strong> ${getCategoryName(doc.category)} | 
-                    <strong>Datum:</strong> ${formatDate(doc.uploadDate)}
+                    <strong>Kategorija:</strong> ${getCategoryName(doc.category)} | 
+                    <strong>Datum:</strong> ${formatDate(doc.uploadDate)}
+                </div>
+                <p>${doc.description}</p>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editDocument(${doc.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteDocument(${doc.id})">Obriši</button>
+            </div>
+        `;
+        list.appendChild(docItem);
+    });
+}
+
+// Membership Applications Management
+async function loadApplications() {
+    try {
+        const status = document.getElementById('applicationStatusFilter').value;
+        const applications = await fetchApplications(status);
+        renderApplications(applications);
+    } catch (error) {
+        console.error('Error loading applications:', error);
+        showMessage('Greška pri učitavanju prijava!', 'error');
+    }
+}
+
+async function fetchApplications(status) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.membership}${query}`, {
+        headers: getAuthHeaders()
+    });
+    
+    if (!response.ok) {
+        throw new Error('Failed to fetch applications');
+    }
+    
+    return response.json();
+}
+
+function renderApplications(applications) {
+    const list = document.getElementById('applicationsList');
+    list.innerHTML = '';
+    
+    if (applications.length === 0) {
+        list.innerHTML = '<div class="document-item"><p>Nema prijava.</p></div>';
+        return;
+    }
+    
+    applications.forEach(application => {
+        const appItem = document.createElement('div');
+        appItem.className = 'document-item';
+        appItem.innerHTML = html`
+            <div class="document-info">
+                <h4>${application.full_name} <span class="status-badge status-${application.status}">${getApplicationStatusName(application.status)}</span></h4>
+                <div class="document-meta">
+                    <strong>Roditelj:</strong> ${application.parent_name || '-'} | 
+                    <strong>Zaprimljeno:</strong> ${formatDate(application.created_at)}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="viewApplication(${application.id})">Otvori</button>
+            </div>
+        `;
+        list.appendChild(appItem);
+    });
+}
+
+async function viewApplication(id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.membership}/${id}`, {
+            headers: getAuthHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch application');
+        }
+        
+        const application = await response.json();
+        renderApplicationDetails(application);
+    } catch (error) {
+        console.error('Error loading application:', error);
+        showMessage('Greška pri učitavanju prijave!', 'error');
+    }
+}
+
+function renderApplicationDetails(application) {
+    const details = document.getElementById('applicationDetails');
+    const statusOptions = ['new', 'contacted', 'accepted', 'rejected']
+        .map(status => html`<option value="${status}" ${status === application.status ? 'selected' : ''}>${getApplicationStatusName(status)}</option>`);
+    
+    details.innerHTML = html`
+        <h3>Prijava: ${application.full_name}</h3>
+        <dl>
+            <dt>Ime i prezime roditelja</dt><dd>${application.parent_name || '-'}</dd>
+            <dt>Datum rođenja</dt><dd>${application.birth_date ? formatDate(application.birth_date) : '-'}</dd>
+            <dt>Datum upisa</dt><dd>${application.enrollment_date ? formatDate(application.enrollment_date) : '-'}</dd>
+            <dt>Državljanstvo</dt><dd>${application.citizenship === 'hrvatsko' ? 'Hrvatsko' : 'Strano'}</dd>
+            <dt>OIB</dt><dd>${application.oib || '-'}</dd>
+            <dt>Adresa</dt><dd>${application.address || '-'}</dd>
+            <dt>Telefon</dt><dd>${application.phone || '-'}</dd>
+            <dt>E-mail</dt><dd>${application.email || '-'}</dd>
+            <dt>Napomena</dt><dd>${application.note || '-'}</dd>
+            <dt>Obavijest poslana</dt><dd>${application.email_sent ? 'Da' : 'Ne'}</dd>
+            <dt>Zaprimljeno</dt><dd>${formatDate(application.created_at)}</dd>
+        </dl>
+        <div class="form-group">
+            <label for="applicationStatus">Status:</label>
+            <select id="applicationStatus">${statusOptions}</select>
+        </div>
+        <div class="result-actions">
+            <button class="btn btn-edit" onclick="updateApplicationStatus(${application.id})">Spremi status</button>
+            <button class="btn" onclick="closeApplicationDetails()">Zatvori</button>
+        </div>
+        <div class="form-group">
+            <label for="applicationMemberCategory">Upiši kao člana u kategoriju:</label>
+            <select id="applicationMemberCategory">${getMemberCategoryOptions()}</select>
+        </div>
+        <div class="result-actions">
+            <button class="btn btn-edit" onclick="promoteApplication(${application.id})">Upiši kao člana</button>
+        </div>
+    `;
+    details.classList.add('active');
+    details.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeApplicationDetails() {
+    const details = document.getElementById('applicationDetails');
+    details.classList.remove('active');
+    details.innerHTML = '';
+}
+
+async function updateApplicationStatus(id) {
+    const status = document.getElementById('applicationStatus').value;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.membership}/${id}/status`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ status })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update application status');
+        }
+        
+        showMessage('Status prijave je spremljen!', 'success');
+        closeApplicationDetails();
+        loadApplications();
+    } catch (error) {
+        console.error('Error updating application status:', error);
+        showMessage('Greška pri spremanju statusa prijave!', 'error');
+    }
+}
+
+// Members Management
+async function loadMembers() {
+    try {
+        const members = await fetchMembers({
+            search: document.getElementById('memberSearch').value.trim(),
+            category: document.getElementById('memberCategoryFilter').value,
+            active: document.getElementById('memberActiveFilter').value
+        });
+        renderMembers(members);
+    } catch (error) {
+        console.error('Error loading members:', error);
+        showMessage('Greška pri učitavanju članova!', 'error');
+    }
+}
+
+async function fetchMembers(filters) {
+    const params = new URLSearchParams();
+    Object.keys(filters).forEach(key => {
+        if (filters[key]) {
+            params.append(key, filters[key]);
+        }
+    });
+    
+    const query = params.toString() ? `?${params.toString()}` : '';
+    const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.members}${query}`, {
+        headers: getAuthHeaders()
+    });
+    
+    if (!response.ok) {
+        throw new Error('Failed to fetch members');
+    }
+    
+    return response.json();
+}
+
+function renderMembers(members) {
+    const list = document.getElementById('membersList');
+    list.innerHTML = '';
+    
+    if (members.length === 0) {
+        list.innerHTML = '<div class="document-item"><p>Nema članova.</p></div>';
+        return;
+    }
+    
+    members.forEach(member => {
+        const memberItem = document.createElement('div');
+        memberItem.className = 'document-item';
+        memberItem.innerHTML = html`
+            <div class="document-info">
+                <h4>${member.full_name} ${member.active ? '' : html`<span class="status-badge status-inactive">Neaktivan</span>`}</h4>
+                <div class="document-meta">
+                    <strong>Kategorija:</strong> ${getCategoryName(member.category)} | 
+                    <strong>Roditelj:</strong> ${member.parent_name || '-'} | 
+                    <strong>Telefon:</strong> ${member.phone || '-'}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editMember(${member.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteMember(${member.id})">Obriši</button>
+            </div>
+        `;
+        list.appendChild(memberItem);
+    });
+}
+
+function getMemberFormData() {
+    return {
+        full_name: document.getElementById('memberFullName').value,
+        parent_name: document.getElementById('memberParentName').value,
+        birth_date: document.getElementById('memberBirthDate').value,
+        oib: document.getElementById('memberOib').value,
+        address: document.getElementById('memberAddress').value,
+        phone: document.getElementById('memberPhone').value,
+        email: document.getElementById('memberEmail').value,
+        category: document.getElementById('memberCategory').value,
+        active: document.getElementById('memberActive').checked
+    };
+}
+
+async function handleMembersSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('memberId').value;
+    const url = id ? `${getBaseURL()}${CMS_CONFIG.api.members}/${id}` : `${getBaseURL()}${CMS_CONFIG.api.members}`;
+    
+    try {
+        const response = await authFetch(url, {
+            method: id ? 'PUT' : 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(getMemberFormData())
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save member');
+        }
+        
+        showMessage('Član je uspješno spremljen!', 'success');
+        resetMemberForm();
+        loadMembers();
+    } catch (error) {
+        console.error('Error saving member:', error);
+        showMessage('Greška pri spremanju člana!', 'error');
+    }
+}
+
+async function editMember(id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.members}/${id}`, {
+            headers: getAuthHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch member');
+        }
+        
+        const member = await response.json();
+        
+        document.getElementById('memberId').value = member.id;
+        document.getElementById('memberFullName').value = member.full_name;
+        document.getElementById('memberParentName').value = member.parent_name || '';
+        document.getElementById('memberBirthDate').value = member.birth_date || '';
+        document.getElementById('memberOib').value = member.oib || '';
+        document.getElementById('memberAddress').value = member.address || '';
+        document.getElementById('memberPhone').value = member.phone || '';
+        document.getElementById('memberEmail').value = member.email || '';
+        document.getElementById('memberCategory').value = member.category;
+        document.getElementById('memberActive').checked = !!member.active;
+        document.getElementById('memberFormTitle').textContent = `Uredi člana: ${member.full_name}`;
+        
+        document.getElementById('membersForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        console.error('Error loading member:', error);
+        showMessage('Greška pri učitavanju člana!', 'error');
+    }
+}
+
+function resetMemberForm() {
+    document.getElementById('membersForm').reset();
+    document.getElementById('memberId').value = '';
+    document.getElementById('memberFormTitle').textContent = 'Dodaj člana';
+}
+
+async function deleteMember(id) {
+    if (confirm('Jeste li sigurni da želite obrisati ovog člana?')) {
+        try {
+            const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.members}/${id}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders()
+            });
+            
+            if (response.status === 409) {
+                showMessage('Član ima obveze članarine ili evidenciju prisutnosti - označite ga neaktivnim umjesto brisanja.', 'error');
+                return;
+            }
+            
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to delete member');
+            }
+            
+            showMessage('Član je uspješno obrisan!', 'success');
+            loadMembers();
+        } catch (error) {
+            console.error('Error deleting member:', error);
+            showMessage('Greška pri brisanju člana!', 'error');
+        }
+    }
+}
+
+async function promoteApplication(applicationId) {
+    const category = document.getElementById('applicationMemberCategory').value;
+    
+    if (!category) {
+        showMessage('Odaberite kategoriju člana!', 'error');
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.members}/from-application/${applicationId}`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ category })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to promote application');
+        }
+        
+        showMessage(`${data.full_name} je upisan/a kao član!`, 'success');
+        closeApplicationDetails();
+        loadApplications();
+        loadMembers();
+    } catch (error) {
+        console.error('Error promoting application:', error);
+        showMessage(`Greška pri upisu člana: ${error.message}`, 'error');
+    }
+}
+
+// Membership Fees Management
+function initFees() {
+    document.getElementById('feePlanFrequency').innerHTML = html`
+        ${Object.entries(Fees.FEE_FREQUENCIES).map(([frequency, name]) => html`<option value="${frequency}">${name}</option>`)}
+    `;
+}
+
+async function loadFeePlans() {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/plans`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch fee plans');
+        }
+        
+        feePlans = await response.json();
+        renderFeePlans();
+        updateFeeGeneratePlanOptions();
+    } catch (error) {
+        console.error('Error loading fee plans:', error);
+        showMessage('Greška pri učitavanju planova članarine!', 'error');
+    }
+}
+
+function getFeePlanLabel(plan) {
+    return `${plan.name} - ${getCategoryName(plan.category)}, ${getSeasonYear(plan.year)}`;
+}
+
+function renderFeePlans() {
+    const list = document.getElementById('feePlansList');
+    
+    if (feePlans.length === 0) {
+        list.innerHTML = '<p>Nema planova članarine.</p>';
+        return;
+    }
+    
+    list.innerHTML = html`${feePlans.map(plan => html`
+        <div class="document-item">
+            <div class="document-info">
+                <h4>${getFeePlanLabel(plan)}</h4>
+                <div class="document-meta">
+                    <strong>Plaćanje:</strong> ${Fees.FEE_FREQUENCIES[plan.frequency]} | 
+                    <strong>Iznos:</strong> ${Fees.formatAmount(plan.amount_cents)}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="editFeePlan(${plan.id})">Uredi</button>
+                <button class="btn btn-delete" onclick="deleteFeePlan(${plan.id})">Obriši</button>
+            </div>
+        </div>
+    `)}`;
+}
+
+async function handleFeePlanSubmit(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('feePlanId').value;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/plans${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                category: document.getElementById('feePlanCategory').value,
+                year: document.getElementById('feePlanYear').value,
+                name: document.getElementById('feePlanName').value,
+                frequency: document.getElementById('feePlanFrequency').value,
+                amount: document.getElementById('feePlanAmount').value
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save fee plan');
+        }
+        
+        showMessage(id ? 'Plan članarine je ažuriran!' : 'Plan članarine je dodan!', 'success');
+        resetFeePlanForm();
+        loadFeePlans();
+    } catch (error) {
+        console.error('Error saving fee plan:', error);
+        showMessage(`Greška pri spremanju plana članarine: ${error.message}`, 'error');
+    }
+}
+
+function resetFeePlanForm() {
+    document.getElementById('feePlanForm').reset();
+    document.getElementById('feePlanId').value = '';
+    document.getElementById('feePlanFormTitle').textContent = 'Dodaj plan članarine';
+    document.getElementById('feePlanSubmitBtn').textContent = 'Dodaj plan';
+    document.getElementById('feePlanFormCancel').style.display = 'none';
+}
+
+function editFeePlan(id) {
+    const plan = feePlans.find(p => p.id === id);
+    if (!plan) return;
+    
+    document.getElementById('feePlanId').value = plan.id;
+    document.getElementById('feePlanCategory').value = plan.category;
+    document.getElementById('feePlanYear').value = plan.year;
+    document.getElementById('feePlanName').value = plan.name;
+    document.getElementById('feePlanFrequency').value = plan.frequency;
+    document.getElementById('feePlanAmount').value = (plan.amount_cents / 100).toFixed(2);
+    document.getElementById('feePlanFormTitle').textContent = `Uredi plan: ${plan.name}`;
+    document.getElementById('feePlanSubmitBtn').textContent = 'Spremi izmjene';
+    document.getElementById('feePlanFormCancel').style.display = 'inline-block';
+    
+    document.getElementById('feePlanForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteFeePlan(id) {
+    if (!confirm('Obrisati ovaj plan članarine?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/plans/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete fee plan');
+        }
+        
+        showMessage('Plan članarine je obrisan!', 'success');
+        loadFeePlans();
+    } catch (error) {
+        console.error('Error deleting fee plan:', error);
+        showMessage(`Greška pri brisanju plana članarine: ${error.message}`, 'error');
+    }
+}
+
+function updateFeeGeneratePlanOptions() {
+    const select = document.getElementById('feeGeneratePlan');
+    const selected = select.value;
+    select.innerHTML = html`
+        <option value="">Odaberite plan</option>
+        ${feePlans.map(plan => html`<option value="${plan.id}">${getFeePlanLabel(plan)}</option>`)}
+    `;
+    select.value = selected;
+    updateFeeGeneratePeriodOptions();
+}
+
+// Monthly plans default to the current month, if it is in the plan's season
+function updateFeeGeneratePeriodOptions() {
+    const plan = feePlans.find(p => p.id === Number(document.getElementById('feeGeneratePlan').value));
+    const select = document.getElementById('feeGeneratePeriod');
+    const periods = plan ? Fees.getPlanPeriods(plan) : [];
+    const currentMonth = new Date().toLocaleDateString('sv-SE').slice(0, 7);
+    
+    select.innerHTML = html`${periods.map(period => html`<option value="${period}">${Fees.getPeriodLabel(period)}</option>`)}`;
+    if (periods.includes(currentMonth)) select.value = currentMonth;
+}
+
+async function handleFeeGenerateSubmit(e) {
+    e.preventDefault();
+    
+    const planId = document.getElementById('feeGeneratePlan').value;
+    const period = document.getElementById('feeGeneratePeriod').value;
+    if (!confirm(`Generirati zaduženja za razdoblje ${Fees.getPeriodLabel(period)}?`)) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/plans/${planId}/obligations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ period, due_date: document.getElementById('feeGenerateDueDate').value })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to generate obligations');
+        }
+        
+        const { created } = await response.json();
+        showMessage(created > 0 ? `Generirano zaduženja: ${created}.` : 'Svi aktivni članovi kategorije već su zaduženi za ovo razdoblje.', 'success');
+        loadFeeObligations();
+    } catch (error) {
+        console.error('Error generating obligations:', error);
+        showMessage(`Greška pri generiranju zaduženja: ${error.message}`, 'error');
+    }
+}
+
+async function handleFeeImportSubmit(e) {
+    e.preventDefault();
+    
+    const formData = new FormData();
+    formData.append('statement', document.getElementById('feeImportFile').files[0]);
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/payments/import`, {
+            method: 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to import statement');
+        }
+        
+        const { imported, duplicates, unmatched } = await response.json();
+        showMessage(`Uvezeno uplata: ${imported}.`, 'success');
+        document.getElementById('feeImportForm').reset();
+        document.getElementById('feeImportResult').innerHTML = html`
+            <p>
+                Uvezeno: ${imported} | Već uvezeno ranije: ${duplicates} | Bez odgovarajućeg zaduženja: ${unmatched.length}
+            </p>
+            ${unmatched.length > 0 ? html`
+                <div class="schedule-table-container">
+                    <table class="schedule-table">
+                        <caption>Uplate bez zaduženja - evidentirajte ih ručno</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">Datum</th>
+                                <th scope="col">Platitelj</th>
+                                <th scope="col">Iznos</th>
+                                <th scope="col">Poziv na broj</th>
+                                <th scope="col">Opis</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${unmatched.map(entry => html`
+                                <tr>
+                                    <td>${formatDate(entry.date)}</td>
+                                    <td>${entry.payer || '-'}</td>
+                                    <td>${Fees.formatAmount(entry.amount_cents)}</td>
+                                    <td>${entry.statement_reference || '-'}</td>
+                                    <td>${entry.description || '-'}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+        loadFeeObligations();
+    } catch (error) {
+        console.error('Error importing statement:', error);
+        showMessage(`Greška pri uvozu izvoda: ${error.message}`, 'error');
+    }
+}
+
+async function loadFeeObligations() {
+    try {
+        const params = new URLSearchParams();
+        const category = document.getElementById('feeCategoryFilter').value;
+        const year = document.getElementById('feeYearFilter').value;
+        const status = document.getElementById('feeStatusFilter').value;
+        if (category) params.set('category', category);
+        if (year) params.set('year', year);
+        if (status) params.set('status', status);
+        
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/obligations?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch obligations');
+        }
+        
+        feeObligations = await response.json();
+        renderFeeObligations();
+    } catch (error) {
+        console.error('Error loading obligations:', error);
+        showMessage('Greška pri učitavanju zaduženja!', 'error');
+    }
+}
+
+function getFeeStatusClass(status) {
+    const classes = {
+        open: 'status-new',
+        partial: 'status-contacted',
+        overdue: 'status-rejected',
+        paid: 'status-accepted'
+    };
+    return classes[status];
+}
+
+function renderFeeObligations() {
+    const list = document.getElementById('feeObligationsList');
+    const search = document.getElementById('feeSearch').value.trim().toLowerCase();
+    const obligations = feeObligations.filter(obligation => obligation.full_name.toLowerCase().includes(search));
+    
+    if (obligations.length === 0) {
+        list.innerHTML = '<p>Nema zaduženja.</p>';
+        return;
+    }
+    
+    const outstanding = obligations.reduce((sum, obligation) => sum + Math.max(obligation.amount_cents - obligation.paid_cents, 0), 0);
+    list.innerHTML = html`
+        <p><strong>Zaduženja:</strong> ${obligations.length} | <strong>Nepodmireno ukupno:</strong> ${Fees.formatAmount(outstanding)}</p>
+        ${obligations.map(obligation => html`
+            <div class="document-item">
+                <div class="document-info">
+                    <h4>
+                        ${obligation.full_name}
+                        <span class="status-badge ${getFeeStatusClass(obligation.status)}">${Fees.getStatusName(obligation.status)}</span>
+                    </h4>
+                    <div class="document-meta">
+                        <strong>${obligation.plan_name}:</strong> ${Fees.getPeriodLabel(obligation.period)} (${obligation.category_name}) | 
+                        <strong>Iznos:</strong> ${Fees.formatAmount(obligation.amount_cents)} | 
+                        <strong>Plaćeno:</strong> ${Fees.formatAmount(obligation.paid_cents)} | 
+                        <strong>Rok:</strong> ${formatDate(obligation.due_date)} | 
+                        <strong>Poziv na broj:</strong> ${Fees.REFERENCE_MODEL} ${obligation.reference}
+                    </div>
+                </div>
+                <div class="document-actions">
+                    <button class="btn btn-edit" onclick="viewFeeObligation(${obligation.id})">Detalji</button>
+                    <button class="btn" onclick="showFeeSlip(${obligation.id})">Uplatnica</button>
+                    <button class="btn btn-delete" onclick="deleteFeeObligation(${obligation.id})">Obriši</button>
+                </div>
+            </div>
+        `)}
+    `;
+}
+
+// Obligation details with its payments, the manual payment form and the obligation's amount and due date
+async function viewFeeObligation(id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/obligations/${id}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch obligation');
+        }
+        
+        renderFeeObligationDetails(await response.json());
+    } catch (error) {
+        console.error('Error loading obligation:', error);
+        showMessage('Greška pri učitavanju zaduženja!', 'error');
+    }
+}
+
+function renderFeeObligationDetails(obligation) {
+    const details = document.getElementById('feeObligationDetails');
+    const remaining = Math.max(obligation.amount_cents - obligation.paid_cents, 0);
+    
+    details.innerHTML = html`
+        <h3>${obligation.full_name}: ${obligation.plan_name} ${Fees.getPeriodLabel(obligation.period)}</h3>
+        <dl>
+            <dt>Kategorija</dt><dd>${obligation.category_name}</dd>
+            <dt>Stanje</dt><dd><span class="status-badge ${getFeeStatusClass(obligation.status)}">${Fees.getStatusName(obligation.status)}</span></dd>
+            <dt>Plaćeno</dt><dd>${Fees.formatAmount(obligation.paid_cents)} od ${Fees.formatAmount(obligation.amount_cents)}</dd>
+            <dt>Poziv na broj</dt><dd>${Fees.REFERENCE_MODEL} ${obligation.reference}</dd>
+        </dl>
+        <h4>Uplate</h4>
+        ${obligation.payments.length === 0 ? html`<p>Nema evidentiranih uplata.</p>` : html`
+            <ul>
+                ${obligation.payments.map(payment => html`
+                    <li>
+                        ${formatDate(payment.paid_on)}: ${Fees.formatAmount(payment.amount_cents)}
+                        (${payment.source === 'import' ? 'izvod' : 'ručno'}${payment.payer ? `, ${payment.payer}` : ''})
+                        ${payment.note ? html` - ${payment.note}` : ''}
+                        <button class="btn btn-delete" onclick="deleteFeePayment(${payment.id}, ${obligation.id})">Obriši</button>
+                    </li>
+                `)}
+            </ul>
+        `}
+        <h4>Evidentiraj uplatu</h4>
+        <div class="form-group">
+            <label for="feePaymentAmount">Iznos (EUR):</label>
+            <input type="number" id="feePaymentAmount" min="0.01" step="0.01" value="${remaining > 0 ? (remaining / 100).toFixed(2) : ''}">
+        </div>
+        <div class="form-group">
+            <label for="feePaymentDate">Datum uplate:</label>
+            <input type="date" id="feePaymentDate" value="${new Date().toLocaleDateString('sv-SE')}" max="${new Date().toLocaleDateString('sv-SE')}">
+        </div>
+        <div class="form-group">
+            <label for="feePaymentPayer">Platitelj:</label>
+            <input type="text" id="feePaymentPayer" maxlength="255">
+        </div>
+        <div class="form-group">
+            <label for="feePaymentNote">Napomena:</label>
+            <input type="text" id="feePaymentNote" maxlength="255" placeholder="npr. gotovina">
+        </div>
+        <div class="result-actions">
+            <button class="btn btn-edit" onclick="recordFeePayment(${obligation.id})">Evidentiraj uplatu</button>
+        </div>
+        <h4>Zaduženje</h4>
+        <div class="form-group">
+            <label for="feeObligationAmount">Iznos (EUR):</label>
+            <input type="number" id="feeObligationAmount" min="0.01" step="0.01" value="${(obligation.amount_cents / 100).toFixed(2)}">
+        </div>
+        <div class="form-group">
+            <label for="feeObligationDueDate">Rok plaćanja:</label>
+            <input type="date" id="feeObligationDueDate" value="${obligation.due_date}">
+        </div>
+        <div class="result-actions">
+            <button class="btn btn-edit" onclick="updateFeeObligation(${obligation.id})">Spremi zaduženje</button>
+            <button class="btn" onclick="showFeeSlip(${obligation.id})">Uplatnica</button>
+            <button class="btn" onclick="closeFeeObligationDetails()">Zatvori</button>
+        </div>
+    `;
+    details.classList.add('active');
+    details.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeFeeObligationDetails() {
+    const details = document.getElementById('feeObligationDetails');
+    details.classList.remove('active');
+    details.innerHTML = '';
+}
+
+async function recordFeePayment(obligationId) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/payments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                obligation_id: obligationId,
+                amount: document.getElementById('feePaymentAmount').value,
+                paid_on: document.getElementById('feePaymentDate').value,
+                payer: document.getElementById('feePaymentPayer').value,
+                note: document.getElementById('feePaymentNote').value
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to record payment');
+        }
+        
+        showMessage('Uplata je evidentirana!', 'success');
+        viewFeeObligation(obligationId);
+        loadFeeObligations();
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        showMessage(`Greška pri evidentiranju uplate: ${error.message}`, 'error');
+    }
+}
+
+async function deleteFeePayment(id, obligationId) {
+    if (!confirm('Obrisati ovu uplatu?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/payments/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete payment');
+        }
+        
+        showMessage('Uplata je obrisana!', 'success');
+        viewFeeObligation(obligationId);
+        loadFeeObligations();
+    } catch (error) {
+        console.error('Error deleting payment:', error);
+        showMessage('Greška pri brisanju uplate!', 'error');
+    }
+}
+
+async function updateFeeObligation(id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/obligations/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                amount: document.getElementById('feeObligationAmount').value,
+                due_date: document.getElementById('feeObligationDueDate').value
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update obligation');
+        }
+        
+        showMessage('Zaduženje je ažurirano!', 'success');
+        viewFeeObligation(id);
+        loadFeeObligations();
+    } catch (error) {
+        console.error('Error updating obligation:', error);
+        showMessage(`Greška pri spremanju zaduženja: ${error.message}`, 'error');
+    }
+}
+
+async function deleteFeeObligation(id) {
+    if (!confirm('Obrisati ovo zaduženje? Obrisat će se i sve njegove uplate.')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/obligations/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete obligation');
+        }
+        
+        showMessage('Zaduženje je obrisano!', 'success');
+        closeFeeObligationDetails();
+        loadFeeObligations();
+    } catch (error) {
+        console.error('Error deleting obligation:', error);
+        showMessage('Greška pri brisanju zaduženja!', 'error');
+    }
+}
+
+// The HUB-3 slip for the amount still owed, printable on its own (see the print styles)
+async function showFeeSlip(id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.fees}/obligations/${id}/slip`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch payment slip');
+        }
+        
+        const slip = await response.json();
+        const details = document.getElementById('feeObligationDetails');
+        details.innerHTML = html`
+            <div class="fee-slip">
+                <h3>Nalog za plaćanje - ${slip.obligation.full_name}</h3>
+                <dl>
+                    <dt>Platitelj</dt><dd>${slip.payer.name}<br>${slip.payer.street}<br>${slip.payer.city}</dd>
+                    <dt>Primatelj</dt><dd>${slip.recipient.name}<br>${slip.recipient.street}<br>${slip.recipient.city}</dd>
+                    <dt>IBAN primatelja</dt><dd>${slip.iban}</dd>
+                    <dt>Iznos</dt><dd>${Fees.formatAmount(slip.amount_cents)}</dd>
+                    <dt>Model i poziv na broj</dt><dd>${slip.model} ${slip.reference}</dd>
+                    <dt>Šifra namjene</dt><dd>${slip.purpose_code}</dd>
+                    <dt>Opis plaćanja</dt><dd>${slip.description}</dd>
+                </dl>
+                <div class="fee-slip-barcode">${HtmlTemplate.raw(slip.barcode_svg)}</div>
+            </div>
+            <div class="result-actions">
+                <button class="btn btn-edit" onclick="window.print()">Ispiši</button>
+                <button class="btn" onclick="viewFeeObligation(${id})">Detalji</button>
+                <button class="btn" onclick="closeFeeObligationDetails()">Zatvori</button>
+            </div>
+        `;
+        details.classList.add('active');
+        details.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        console.error('Error loading payment slip:', error);
+        showMessage('Greška pri izradi uplatnice!', 'error');
+    }
+}
+
+// Attendance Management
+// Today and the first day of the current season (1 September) as YYYY-MM-DD in local time
+function getAttendanceDefaultRange() {
+    const today = new Date().toLocaleDateString('sv-SE');
+    const [year, month] = today.split('-').map(Number);
+    return { from: `${month >= 9 ? year : year - 1}-09-01`, to: today };
+}
+
+function initAttendance() {
+    const { from, to } = getAttendanceDefaultRange();
+    document.getElementById('attendanceDate').value = to;
+    document.getElementById('attendanceDate').max = to;
+    document.getElementById('attendanceReportFrom').value = from;
+    document.getElementById('attendanceReportTo').value = to;
+}
+
+// Trainings of the schedule on the weekday of the chosen date; cancelled ones are marked
+function updateAttendanceSlotOptions(selectedSlotId = null) {
+    const date = document.getElementById('attendanceDate').value;
+    const select = document.getElementById('attendanceSlot');
+    const weekday = date ? Training.getWeekdayOfDate(date) : null;
+    
+    select.innerHTML = html`
+        <option value="">Bez termina iz rasporeda</option>
+        ${trainingSlots.filter(slot => slot.weekday === weekday).map(slot => html`
+            <option value="${slot.id}">${getTrainingSlotLabel(slot)}${Training.getCancellation(slot, date, trainingExceptions) ? ' (otkazano)' : ''}</option>
+        `)}
+    `;
+    select.value = selectedSlotId || '';
+}
+
+// Load the players of the team and the saved attendance of the date, if any
+async function loadAttendance() {
+    const category = document.getElementById('attendanceCategory').value;
+    const date = document.getElementById('attendanceDate').value;
+    const list = document.getElementById('attendancePlayers');
+    const status = document.getElementById('attendanceStatus');
+    
+    attendanceSession = null;
+    document.getElementById('attendanceDeleteBtn').style.display = 'none';
+    if (!category || !date) {
+        list.innerHTML = '';
+        status.textContent = 'Odaberite kategoriju i datum.';
+        updateAttendanceSlotOptions();
+        return;
+    }
+    
+    try {
+        const params = new URLSearchParams({ category, date });
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.attendance}?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch attendance');
+        }
+        
+        const { session, players } = await response.json();
+        attendanceSession = session;
+        updateAttendanceSlotOptions(session ? session.slot_id : null);
+        document.getElementById('attendanceNote').value = session ? session.note || '' : '';
+        document.getElementById('attendanceDeleteBtn').style.display = session ? 'inline-block' : 'none';
+        
+        if (players.length === 0) {
+            list.innerHTML = '<p>Kategorija nema aktivnih članova.</p>';
+            status.textContent = '';
+            return;
+        }
+        
+        status.textContent = session
+            ? `Evidencija je spremljena: prisutno ${players.filter(player => player.present).length} od ${players.filter(player => player.present !== null).length}.`
+            : 'Evidencija za ovaj dan još nije spremljena.';
+        list.innerHTML = html`${players.map(player => html`
+            <label class="attendance-player">
+                <input type="checkbox" name="attendancePresent" value="${player.member_id}" ${player.present ? 'checked' : ''}>
+                ${player.full_name}
+            </label>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading attendance:', error);
+        showMessage('Greška pri učitavanju prisutnosti!', 'error');
+    }
+}
+
+// Every listed player is saved, unticked ones as absent
+async function handleAttendanceSubmit(e) {
+    e.preventDefault();
+    
+    const checkboxes = [...document.querySelectorAll('input[name="attendancePresent"]')];
+    if (checkboxes.length === 0) {
+        showMessage('Nema igrača za evidenciju!', 'error');
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.attendance}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                category: document.getElementById('attendanceCategory').value,
+                date: document.getElementById('attendanceDate').value,
+                slot_id: document.getElementById('attendanceSlot').value || null,
+                note: document.getElementById('attendanceNote').value,
+                records: checkboxes.map(checkbox => ({ member_id: Number(checkbox.value), present: checkbox.checked }))
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save attendance');
+        }
+        
+        showMessage(`Prisutnost je spremljena: ${checkboxes.filter(checkbox => checkbox.checked).length} od ${checkboxes.length} prisutno.`, 'success');
+        loadAttendance();
+    } catch (error) {
+        console.error('Error saving attendance:', error);
+        showMessage(`Greška pri spremanju prisutnosti: ${error.message}`, 'error');
+    }
+}
+
+async function deleteAttendanceSession() {
+    if (!attendanceSession || !confirm('Obrisati evidenciju prisutnosti za ovaj dan?')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.attendance}/${attendanceSession.id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete attendance');
+        }
+        
+        showMessage('Evidencija prisutnosti je obrisana!', 'success');
+        loadAttendance();
+    } catch (error) {
+        console.error('Error deleting attendance:', error);
+        showMessage('Greška pri brisanju evidencije prisutnosti!', 'error');
+    }
+}
+
+function getAttendanceReportParams() {
+    const params = new URLSearchParams({
+        from: document.getElementById('attendanceReportFrom').value,
+        to: document.getElementById('attendanceReportTo').value
+    });
+    const category = document.getElementById('attendanceReportCategory').value;
+    if (category) params.set('category', category);
+    return params;
+}
+
+function formatAttendancePercentage(percentage) {
+    return percentage === null ? '-' : `${percentage.toLocaleString('hr-HR')} %`;
+}
+
+async function loadAttendanceReport(e) {
+    if (e) e.preventDefault();
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.attendance}/report?${getAttendanceReportParams()}`);
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to fetch attendance report');
+        }
+        
+        const { teams, players } = await response.json();
+        const container = document.getElementById('attendanceReport');
+        
+        if (teams.length === 0) {
+            container.innerHTML = '<p>U odabranom razdoblju nema evidentiranih treninga.</p>';
+            return;
+        }
+        
+        container.innerHTML = html`
+            <div class="schedule-table-container">
+                <table class="schedule-table">
+                    <caption>Ekipe</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">Kategorija</th>
+                            <th scope="col">Treninga</th>
+                            <th scope="col">Prisutnih / evidentiranih</th>
+                            <th scope="col">Prisutnost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${teams.map(team => html`
+                            <tr>
+                                <td>${team.category_name}</td>
+                                <td>${team.sessions}</td>
+                                <td>${team.present} / ${team.records}</td>
+                                <td>${formatAttendancePercentage(team.percentage)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+            <div class="schedule-table-container">
+                <table class="schedule-table">
+                    <caption>Igrači</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">Igrač</th>
+                            <th scope="col">Kategorija</th>
+                            <th scope="col">Prisutan / treninga</th>
+                            <th scope="col">Prisutnost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${players.map(player => html`
+                            <tr>
+                                <td>${player.full_name}</td>
+                                <td>${player.category_name}</td>
+                                <td>${player.present} / ${player.sessions}</td>
+                                <td>${formatAttendancePercentage(player.percentage)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading attendance report:', error);
+        showMessage(`Greška pri učitavanju izvještaja: ${error.message}`, 'error');
+    }
+}
+
+// The CSV needs the access token, so it is downloaded with authFetch and saved from a blob
+async function exportAttendanceReport(type) {
+    try {
+        const params = getAttendanceReportParams();
+        params.set('type', type);
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.attendance}/report.csv?${params}`);
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to export attendance report');
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `prisutnost-${type === 'players' ? 'igraci' : 'ekipe'}-${params.get('from')}-${params.get('to')}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting attendance report:', error);
+        showMessage(`Greška pri izvozu izvještaja: ${error.message}`, 'error');
+    }
+}
+
+// Users Management
+async function loadUsers() {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.users}`, {
+            headers: getAuthHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch users');
+        }
+        
+        renderUsers(await response.json());
+    } catch (error) {
+        console.error('Error loading users:', error);
+        showMessage('Greška pri učitavanju korisnika!', 'error');
+    }
+}
+
+function renderUsers(users) {
+    const list = document.getElementById('usersList');
+    const signedInUser = getCurrentUser();
+    list.innerHTML = '';
+    
+    users.forEach(user => {
+        const isSelf = user.id === signedInUser.id;
+        const roleOptions = ['admin', 'editor', 'membership', 'coach']
+            .map(role => html`<option value="${role}" ${role === user.role ? 'selected' : ''}>${getRoleName(role)}</option>`);
+        
+        const userItem = document.createElement('div');
+        userItem.className = 'document-item';
+        userItem.innerHTML = html`
+            <div class="document-info">
+                <h4>${user.username} ${user.active ? '' : html`<span class="status-badge status-inactive">Onemogućen</span>`} ${user.must_change_password ? html`<span class="status-badge status-contacted">Čeka promjenu lozinke</span>` : ''}</h4>
+                <div class="document-meta">
+                    <label>Uloga: <select id="userRole-${user.id}" ${isSelf ? 'disabled' : ''}>${roleOptions}</select></label> | 
+                    <label><input type="checkbox" id="userActive-${user.id}" ${user.active ? 'checked' : ''} ${isSelf ? 'disabled' : ''}> Aktivan</label>
                 </div>
-                <p>${doc.description}</p>
             </div>
             <div class="document-actions">
-                <button class="btn btn-edit" onclick="editDocument(${doc.id})">Uredi</button>
-                <button class="btn btn-delete" onclick="deleteDocument(${doc.id})">Obriši</button>
+                <button class="btn btn-edit" onclick="updateUser(${user.id})" ${isSelf ? 'disabled' : ''}>Spremi</button>
+                <button class="btn btn-delete" onclick="resetUserPassword(${user.id})">Nova lozinka</button>
             </div>
         `;
-        list.appendChild(docItem);
+        list.appendChild(userItem);
+    });
+}
+
+async function handleUsersSubmit(e) {
+    e.preventDefault();
+    
+    const data = {
+        username: document.getElementById('userUsername').value.trim(),
+        password: document.getElementById('userPassword').value,
+        role: document.getElementById('userRole').value
+    };
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.users}`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(data)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create user');
+        }
+        
+        showMessage('Korisnik je dodan! Lozinku mora promijeniti pri prvoj prijavi.', 'success');
+        document.getElementById('usersForm').reset();
+        loadUsers();
+    } catch (error) {
+        console.error('Error creating user:', error);
+        showMessage(`Greška pri dodavanju korisnika: ${error.message}`, 'error');
+    }
+}
+
+async function updateUser(id) {
+    const data = {
+        role: document.getElementById(`userRole-${id}`).value,
+        active: document.getElementById(`userActive-${id}`).checked
+    };
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.users}/${id}`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(data)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update user');
+        }
+        
+        showMessage('Korisnik je spremljen!', 'success');
+        loadUsers();
+    } catch (error) {
+        console.error('Error updating user:', error);
+        showMessage(`Greška pri spremanju korisnika: ${error.message}`, 'error');
+    }
+}
+
+async function resetUserPassword(id) {
+    const password = prompt('Unesite privremenu lozinku (najmanje 8 znakova). Korisnik će je morati promijeniti pri prijavi.');
+    if (!password) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.users}/${id}/password`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ password })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to reset password');
+        }
+        
+        showMessage('Privremena lozinka je postavljena!', 'success');
+        loadUsers();
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        showMessage(`Greška pri postavljanju lozinke: ${error.message}`, 'error');
+    }
+}
+
+// Login Security
+function loadSecurity() {
+    loadLockouts();
+    loadLoginAttempts();
+}
+
+async function loadLockouts() {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.security}/lockouts`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch lockouts');
+        }
+        
+        renderLockouts(await response.json());
+    } catch (error) {
+        console.error('Error loading lockouts:', error);
+        showMessage('Greška pri učitavanju zaključanih prijava!', 'error');
+    }
+}
+
+function renderLockouts(lockouts) {
+    const list = document.getElementById('lockoutsList');
+    list.innerHTML = '';
+    
+    if (lockouts.length === 0) {
+        list.innerHTML = '<div class="document-item"><p>Nema zaključanih prijava.</p></div>';
+        return;
+    }
+    
+    lockouts.forEach(lockout => {
+        const lockoutItem = document.createElement('div');
+        lockoutItem.className = 'document-item';
+        lockoutItem.innerHTML = html`
+            <div class="document-info">
+                <h4>${lockout.type === 'ip' ? 'IP adresa' : 'Korisničko ime'}: ${lockout.identifier}</h4>
+                <div class="document-meta">
+                    <strong>Neuspjelih pokušaja:</strong> ${lockout.failed_count} | 
+                    <strong>Zaključano do:</strong> ${formatDateTime(lockout.locked_until)}
+                </div>
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="removeLockout(${lockout.id})">Otključaj</button>
+            </div>
+        `;
+        list.appendChild(lockoutItem);
+    });
+}
+
+async function removeLockout(id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.security}/lockouts/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove lockout');
+        }
+        
+        showMessage('Prijava je otključana!', 'success');
+        loadLockouts();
+    } catch (error) {
+        console.error('Error removing lockout:', error);
+        showMessage('Greška pri otključavanju prijave!', 'error');
+    }
+}
+
+async function loadLoginAttempts() {
+    try {
+        const failed = document.getElementById('loginAttemptsFilter').value;
+        const query = failed ? `?failed=${failed}` : '';
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.security}/login-attempts${query}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch login attempts');
+        }
+        
+        renderLoginAttempts(await response.json());
+    } catch (error) {
+        console.error('Error loading login attempts:', error);
+        showMessage('Greška pri učitavanju pokušaja prijave!', 'error');
+    }
+}
+
+function renderLoginAttempts(attempts) {
+    const list = document.getElementById('loginAttemptsList');
+    list.innerHTML = '';
+    
+    if (attempts.length === 0) {
+        list.innerHTML = '<div class="document-item"><p>Nema zabilježenih pokušaja prijave.</p></div>';
+        return;
+    }
+    
+    attempts.forEach(attempt => {
+        const attemptItem = document.createElement('div');
+        attemptItem.className = 'document-item';
+        attemptItem.innerHTML = html`
+            <div class="document-info">
+                <h4>${attempt.username} <span class="status-badge ${attempt.success ? 'status-accepted' : 'status-rejected'}">${attempt.success ? 'Uspješna' : 'Neuspjela'}</span></h4>
+                <div class="document-meta">
+                    <strong>IP adresa:</strong> ${attempt.ip_address} | 
+                    <strong>Vrijeme:</strong> ${formatDateTime(attempt.created_at)}
+                </div>
+            </div>
+        `;
+        list.appendChild(attemptItem);
+    });
+}
+
+// Trash
+async function loadTrash() {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.trash}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch trash');
+        }
+        
+        const trash = await response.json();
+        document.getElementById('trashInfo').textContent =
+            `Obrisani rezultati i dokumenti mogu se vratiti ili trajno obrisati. Nakon ${trash.retentionDays} dana brišu se automatski.`;
+        
+        renderTrashList('trashResultsList', 'results', trash.results, result => html`
+            <h4>${getCategoryName(result.category)} - ${getSeasonYear(result.year)}</h4>
+            <div class="document-meta">
+                <strong>Slika:</strong> ${result.image_count} | 
+                <strong>Obrisano:</strong> ${formatDateTime(result.deleted_at)}
+            </div>
+        `);
+        renderTrashList('trashDocumentsList', 'documents', trash.documents, doc => html`
+            <h4>${doc.title}</h4>
+            <div class="document-meta">
+                <strong>Kategorija:</strong> ${getCategoryName(doc.category)} | 
+                <strong>Datoteka:</strong> ${doc.file_filename} | 
+                <strong>Obrisano:</strong> ${formatDateTime(doc.deleted_at)}
+            </div>
+        `);
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showMessage('Greška pri učitavanju koša!', 'error');
+    }
+}
+
+function renderTrashList(listId, type, items, renderInfo) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    
+    if (items.length === 0) {
+        list.innerHTML = '<div class="document-item"><p>Kôš je prazan.</p></div>';
+        return;
+    }
+    
+    items.forEach(item => {
+        const trashItem = document.createElement('div');
+        trashItem.className = 'document-item';
+        trashItem.innerHTML = html`
+            <div class="document-info">
+                ${renderInfo(item)}
+            </div>
+            <div class="document-actions">
+                <button class="btn btn-edit" onclick="restoreFromTrash('${type}', ${item.id})">Vrati</button>
+                <button class="btn btn-delete" onclick="purgeFromTrash('${type}', ${item.id})">Trajno obriši</button>
+            </div>
+        `;
+        list.appendChild(trashItem);
+    });
+}
+
+async function restoreFromTrash(type, id) {
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.trash}/${type}/${id}/restore`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to restore item');
+        }
+        
+        showMessage('Stavka je vraćena iz koša!', 'success');
+        loadTrash();
+        if (type === 'results') {
+            loadResults();
+        } else {
+            loadDocuments();
+        }
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        showMessage('Greška pri vraćanju iz koša!', 'error');
+    }
+}
+
+async function purgeFromTrash(type, id) {
+    if (!confirm('Trajno obrisati ovu stavku? Ovo se ne može poništiti.')) return;
+    
+    try {
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.trash}/${type}/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to purge item');
+        }
+        
+        showMessage('Stavka je trajno obrisana!', 'success');
+        loadTrash();
+    } catch (error) {
+        console.error('Error purging item:', error);
+        showMessage('Greška pri trajnom brisanju!', 'error');
+    }
+}
+
+// Audit Log
+async function loadAuditLog() {
+    try {
+        const params = new URLSearchParams();
+        const filters = {
+            username: document.getElementById('auditUsername').value.trim(),
+            entity_type: document.getElementById('auditEntityType').value,
+            from: document.getElementById('auditFrom').value,
+            to: document.getElementById('auditTo').value
+        };
+        Object.keys(filters).forEach(key => {
+            if (filters[key]) params.append(key, filters[key]);
+        });
+        
+        const query = params.toString() ? `?${params.toString()}` : '';
+        const response = await authFetch(`${getBaseURL()}${CMS_CONFIG.api.audit}${query}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch audit log');
+        }
+        
+        renderAuditLog(await response.json());
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        showMessage('Greška pri učitavanju dnevnika promjena!', 'error');
+    }
+}
+
+function renderAuditLog(entries) {
+    const list = document.getElementById('auditList');
+    list.innerHTML = '';
+    
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="document-item"><p>Nema zabilježenih promjena.</p></div>';
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const entryItem = document.createElement('div');
+        entryItem.className = 'document-item';
+        entryItem.innerHTML = html`
+            <div class="document-info">
+                <h4>${getAuditActionName(entry.action)}: ${getAuditEntityName(entry.entity_type)}${entry.entity_id ? ` #${entry.entity_id}` : ''}</h4>
+                <div class="document-meta">
+                    <strong>Korisnik:</strong> ${entry.username} | 
+                    <strong>IP adresa:</strong> ${entry.ip_address || '-'} | 
+                    <strong>Vrijeme:</strong> ${formatDateTime(entry.created_at)}
+                </div>
+                ${renderAuditChanges(entry.before_data, entry.after_data)}
+            </div>
+        `;
+        list.appendChild(entryItem);
     });
 }
 
+// List the fields that differ between the before and after snapshots
+function renderAuditChanges(before, after) {
+    if (!before && !after) return '';
+    
+    const fields = Object.keys({ ...(before || {}), ...(after || {}) })
+        .filter(field => JSON.stringify(before && before[field]) !== JSON.stringify(after && after[field]));
+    
+    if (fields.length === 0) return '';
+    
+    const formatValue = value => (value === null || value === undefined || value === '') ? '-' : String(value);
+    
+    return html`
+        <ul class="audit-changes">
+            ${fields.map(field => html`
+                <li><strong>${field}:</strong> ${before ? formatValue(before[field]) : ''}${before && after ? ' → ' : ''}${after ? formatValue(after[field]) : ''}</li>
+            `)}
+        </ul>
+    `;
+}
+
 // Utility Functions
-function getCategoryName(category) {
-    const categories = {
-        'mini-odbojka': 'Mini Odbojka',
-        'djevojcice': 'Djevojčice',
-        'mlade-kadetkinje': 'Mlađe Kadetkinje',
-        'statut': 'Statut',
-        'pravilnici': 'Pravilnici',
-        'ostalo': 'Ostalo'
+function getAuditActionName(action) {
+    const actions = {
+        'create': 'Dodano',
+        'update': 'Izmijenjeno',
+        'replace': 'Zamijenjeno',
+        'delete': 'Obrisano',
+        'trash': 'Premješteno u koš',
+        'restore': 'Vraćeno iz koša',
+        'purge': 'Trajno obrisano',
+        'status_change': 'Promjena statusa',
+        'promote': 'Prijava pretvorena u člana',
+        'password_change': 'Promjena lozinke',
+        'password_reset': 'Postavljena privremena lozinka',
+        'reorder': 'Promijenjen redoslijed',
+        'generate': 'Generirana zaduženja',
+        'import': 'Uvezeno s izvoda'
     };
-    return categories[category] || category;
+    return actions[action] || action;
 }
 
-function getSeasonYear(year) {
-    const yearMap = {
-        '2024': '2024/25',
-        '2023': '2023/24',
-        '2022': '2022/23'
+function getAuditEntityName(entityType) {
+    const entityTypes = {
+        'result': 'Rezultat',
+        'result_image': 'Slika rezultata',
+        'match': 'Utakmica',
+        'roster_player': 'Igrač',
+        'event': 'Događaj',
+        'training_slot': 'Termin treninga',
+        'article': 'Novost',
+        'training_exception': 'Otkazani trening',
+        'attendance_session': 'Prisutnost',
+        'person': 'Osoba',
+        'partner': 'Prijatelj kluba',
+        'season': 'Sezona',
+        'category': 'Kategorija',
+        'document': 'Dokument',
+        'membership_application': 'Prijava',
+        'member': 'Član',
+        'fee_plan': 'Plan članarine',
+        'fee_obligation': 'Zaduženje članarine',
+        'fee_payment': 'Uplata članarine',
+        'user': 'Korisnik',
+        'login_lockout': 'Zaključana prijava'
+    };
+    return entityTypes[entityType] || entityType;
+}
+
+function getRoleName(role) {
+    const roles = {
+        'admin': 'Administrator',
+        'editor': 'Urednik',
+        'membership': 'Članstvo',
+        'coach': 'Trener'
+    };
+    return roles[role] || role;
+}
+
+function getMemberCategoryOptions() {
+    return getCategoriesOfType('team')
+        .map(category => html`<option value="${category.slug}">${category.name}</option>`);
+}
+
+function getApplicationStatusName(status) {
+    const statuses = {
+        'new': 'Nova',
+        'contacted': 'Kontaktirano',
+        'accepted': 'Prihvaćena',
+        'rejected': 'Odbijena'
+    };
+    return statuses[status] || status;
+}
+
+function getCategoryName(slug) {
+    const category = categories.find(c => c.slug === slug);
+    return category ? category.name : slug;
+}
+
+function getCategoryTypeName(type) {
+    const types = {
+        'team': 'Ekipe',
+        'document': 'Vrste dokumenata'
     };
-    return yearMap[year] || '2024/25';
+    return types[type] || type;
+}
+
+function getSeasonYear(year) {
+    const season = seasons.find(s => s.year === year);
+    return season ? season.label : year;
 }
 
 function formatDate(dateString) {
@@ -352,6 +3950,11 @@ function formatDate(dateString) {
     return date.toLocaleDateString('hr-HR');
 }
 
+function formatDateTime(dateString) {
+    const date = new Date(dateString);
+    return date.toLocaleString('hr-HR');
+}
+
 function showMessage(message, type, containerId = 'cmsMessage') {
     const messageEl = document.getElementById(containerId);
     messageEl.textContent = message;
@@ -363,19 +3966,125 @@ function showMessage(message, type, containerId = 'cmsMessage') {
     }, 5000);
 }
 
-// CRUD Operations (for future backend integration)
+// CRUD Operations
 async function editResult(id) {
-    showMessage('Funkcija uređivanja će biti dostupna s backend integracijom', 'error');
-    // In production, this would open an edit form with pre-filled data
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.results}/${id}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch result');
+        }
+        
+        const result = await response.json();
+        
+        document.getElementById('resultId').value = result.id;
+        document.getElementById('resultCategory').value = result.category;
+        document.getElementById('resultYear').value = result.year;
+        document.getElementById('resultDescription').value = result.description || '';
+        document.getElementById('resultImages').value = '';
+        document.getElementById('resultImages').required = false;
+        document.getElementById('resultNewImages').innerHTML = '';
+        renderResultGallery(result);
+        document.getElementById('resultFormTitle').textContent = `Uredi rezultate: ${getCategoryName(result.category)} - ${getSeasonYear(result.year)}`;
+        document.getElementById('resultSubmitBtn').textContent = 'Spremi izmjene';
+        document.getElementById('resultFormCancel').style.display = 'inline-block';
+        
+        switchTab('results');
+        document.getElementById('resultsForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        console.error('Error loading result:', error);
+        showMessage('Greška pri učitavanju rezultata!', 'error');
+    }
+}
+
+// Gallery of the result being edited - reorder, caption and remove act immediately
+function renderResultGallery(result) {
+    const lastIndex = result.images.length - 1;
+    
+    document.getElementById('resultGallerySection').style.display = 'block';
+    document.getElementById('resultGallery').innerHTML = html`${result.images.map((image, index) => html`
+        <li>
+            <img src="${getResultImageUrl(result.id, image)}" alt="${image.caption || image.image_filename}">
+            <input type="text" id="resultImageCaption${image.id}" maxlength="255" value="${image.caption || ''}" placeholder="Opis slike (neobavezno)">
+            <button type="button" class="btn btn-edit" onclick="saveResultImageCaption(${result.id}, ${image.id})">Spremi opis</button>
+            <button type="button" class="btn" title="Pomakni gore" onclick="moveResultImage(${result.id}, ${image.id}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="btn" title="Pomakni dolje" onclick="moveResultImage(${result.id}, ${image.id}, 1)" ${index === lastIndex ? 'disabled' : ''}>↓</button>
+            <button type="button" class="btn btn-delete" onclick="removeResultImage(${result.id}, ${image.id})" ${lastIndex === 0 ? 'disabled' : ''}>Ukloni</button>
+        </li>
+    `)}`;
+}
+
+// Send a gallery change and redraw the gallery from the updated result
+async function updateResultGallery(url, options) {
+    const response = await authFetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update gallery');
+    }
+    
+    const result = await response.json();
+    renderResultGallery(result);
+    loadResults();
+}
+
+async function moveResultImage(resultId, imageId, direction) {
+    const order = Array.from(document.querySelectorAll('#resultGallery input'))
+        .map(input => Number(input.id.replace('resultImageCaption', '')));
+    const index = order.indexOf(imageId);
+    [order[index], order[index + direction]] = [order[index + direction], order[index]];
+    
+    try {
+        await updateResultGallery(`${getBaseURL()}${CMS_CONFIG.api.results}/${resultId}/images/order`, {
+            method: 'PUT',
+            body: JSON.stringify({ order })
+        });
+    } catch (error) {
+        console.error('Error reordering images:', error);
+        showMessage('Greška pri promjeni redoslijeda slika!', 'error');
+    }
+}
+
+async function saveResultImageCaption(resultId, imageId) {
+    const caption = document.getElementById(`resultImageCaption${imageId}`).value;
+    
+    try {
+        await updateResultGallery(`${getBaseURL()}${CMS_CONFIG.api.results}/${resultId}/images/${imageId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ caption })
+        });
+        showMessage('Opis slike je spremljen!', 'success');
+    } catch (error) {
+        console.error('Error saving caption:', error);
+        showMessage('Greška pri spremanju opisa slike!', 'error');
+    }
+}
+
+async function removeResultImage(resultId, imageId) {
+    if (!confirm('Trajno ukloniti ovu sliku iz galerije?')) return;
+    
+    try {
+        await updateResultGallery(`${getBaseURL()}${CMS_CONFIG.api.results}/${resultId}/images/${imageId}`, {
+            method: 'DELETE'
+        });
+        showMessage('Slika je uklonjena!', 'success');
+    } catch (error) {
+        console.error('Error removing image:', error);
+        showMessage('Greška pri uklanjanju slike!', 'error');
+    }
 }
 
 async function deleteResult(id) {
-    if (confirm('Jeste li sigurni da želite obrisati ove rezultate?')) {
+    if (confirm('Premjestiti ove rezultate u koš? Možete ih vratiti iz kartice Kôš.')) {
         try {
             // In production, this would call DELETE API endpoint
             await deleteResultsFromAPI(id);
-            showMessage('Rezultati su uspješno obrisani!', 'success');
+            showMessage('Rezultati su premješteni u koš!', 'success');
             loadResults();
+            loadTrash();
         } catch (error) {
             console.error('Error deleting results:', error);
             showMessage('Greška pri brisanju rezultata!', 'error');
@@ -384,17 +4093,42 @@ async function deleteResult(id) {
 }
 
 async function editDocument(id) {
-    showMessage('Funkcija uređivanja će biti dostupna s backend integracijom', 'error');
-    // In production, this would open an edit form with pre-filled data
+    try {
+        const response = await fetch(`${getBaseURL()}${CMS_CONFIG.api.documents}/${id}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch document');
+        }
+        
+        const doc = await response.json();
+        
+        document.getElementById('documentId').value = doc.id;
+        document.getElementById('documentTitle').value = doc.title;
+        document.getElementById('documentCategory').value = doc.category;
+        document.getElementById('documentDescription').value = doc.description || '';
+        document.getElementById('documentFile').value = '';
+        document.getElementById('documentFile').required = false;
+        document.getElementById('documentFileHint').style.display = 'block';
+        document.getElementById('documentFormTitle').textContent = `Uredi dokument: ${doc.title}`;
+        document.getElementById('documentSubmitBtn').textContent = 'Spremi izmjene';
+        document.getElementById('documentFormCancel').style.display = 'inline-block';
+        
+        switchTab('documents');
+        document.getElementById('documentsForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        console.error('Error loading document:', error);
+        showMessage('Greška pri učitavanju dokumenta!', 'error');
+    }
 }
 
 async function deleteDocument(id) {
-    if (confirm('Jeste li sigurni da želite obrisati ovaj dokument?')) {
+    if (confirm('Premjestiti ovaj dokument u koš? Možete ga vratiti iz kartice Kôš.')) {
         try {
             // In production, this would call DELETE API endpoint
             await deleteDocumentFromAPI(id);
-            showMessage('Dokument je uspješno obrisan!', 'success');
+            showMessage('Dokument je premješten u koš!', 'success');
             loadDocuments();
+            loadTrash();
         } catch (error) {
             console.error('Error deleting document:', error);
             showMessage('Greška pri brisanju dokumenta!', 'error');
@@ -404,11 +4138,8 @@ async function deleteDocument(id) {
 
 // API functions for CRUD operations
 async function deleteResultsFromAPI(id) {
-    const response = await fetch(`${getBaseURL()}/api/results/${id}`, {
-        method: 'DELETE',
-        headers: {
-            'Authorization': `Bearer ${localStorage.getItem('cms_token')}`
-        }
+    const response = await authFetch(`${getBaseURL()}/api/results/${id}`, {
+        method: 'DELETE'
     });
     
     if (!response.ok) {
@@ -420,11 +4151,8 @@ async function deleteResultsFromAPI(id) {
 }
 
 async function deleteDocumentFromAPI(id) {
-    const response = await fetch(`${getBaseURL()}/api/documents/${id}`, {
-        method: 'DELETE',
-        headers: {
-            'Authorization': `Bearer ${localStorage.getItem('cms_token')}`
-        }
+    const response = await authFetch(`${getBaseURL()}/api/documents/${id}`, {
+        method: 'DELETE'
     });
     
     if (!response.ok) {
@@ -438,5 +4166,48 @@ async function deleteDocumentFromAPI(id) {
 // Export functions for global access
 window.editResult = editResult;
 window.deleteResult = deleteResult;
+window.moveResultImage = moveResultImage;
+window.saveResultImageCaption = saveResultImageCaption;
+window.removeResultImage = removeResultImage;
+window.editArticle = editArticle;
+window.deleteArticle = deleteArticle;
+window.editPerson = editPerson;
+window.deletePerson = deletePerson;
+window.editPartner = editPartner;
+window.deletePartner = deletePartner;
+window.editTrainingSlot = editTrainingSlot;
+window.deleteTrainingSlot = deleteTrainingSlot;
+window.editTrainingException = editTrainingException;
+window.deleteTrainingException = deleteTrainingException;
+window.editEvent = editEvent;
+window.deleteEvent = deleteEvent;
+window.editMatch = editMatch;
+window.editRosterPlayer = editRosterPlayer;
+window.deleteRosterPlayer = deleteRosterPlayer;
+window.deleteMatch = deleteMatch;
+window.editCategory = editCategory;
+window.deleteCategory = deleteCategory;
+window.editSeason = editSeason;
+window.deleteSeason = deleteSeason;
 window.editDocument = editDocument;
 window.deleteDocument = deleteDocument;
+window.viewApplication = viewApplication;
+window.updateApplicationStatus = updateApplicationStatus;
+window.closeApplicationDetails = closeApplicationDetails;
+window.editMember = editMember;
+window.deleteMember = deleteMember;
+window.promoteApplication = promoteApplication;
+window.editFeePlan = editFeePlan;
+window.deleteFeePlan = deleteFeePlan;
+window.viewFeeObligation = viewFeeObligation;
+window.closeFeeObligationDetails = closeFeeObligationDetails;
+window.recordFeePayment = recordFeePayment;
+window.deleteFeePayment = deleteFeePayment;
+window.updateFeeObligation = updateFeeObligation;
+window.deleteFeeObligation = deleteFeeObligation;
+window.showFeeSlip = showFeeSlip;
+window.updateUser = updateUser;
+window.resetUserPassword = resetUserPassword;
+window.removeLockout = removeLockout;
+window.restoreFromTrash = restoreFromTrash;
+window.purgeFromTrash = purgeFromTrash;
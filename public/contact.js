@@ -0,0 +1,107 @@
+// Training schedule on the contact page - rendered from /api/training-schedule; trainings
+// cancelled by an exception in the coming week are marked in the table
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadTrainingSchedule();
+});
+
+async function loadTrainingSchedule() {
+    const container = document.getElementById('trainingSchedule');
+    if (!container) return;
+    
+    try {
+        const response = await fetch('/api/training-schedule');
+        if (!response.ok) {
+            throw new Error('Failed to fetch training schedule');
+        }
+        
+        const { slots, exceptions } = await response.json();
+        container.innerHTML = renderScheduleTable(slots, exceptions);
+        document.getElementById('trainingExceptions').innerHTML = renderExceptions(slots, exceptions);
+    } catch (error) {
+        console.error('Error loading training schedule:', error);
+        container.innerHTML = '<p>Termine treninga trenutno nije moguće učitati.</p>';
+    }
+}
+
+// One row per group and one column per weekday that has a training
+function renderScheduleTable(slots, exceptions) {
+    if (slots.length === 0) {
+        return '<p>Termini treninga još nisu objavljeni.</p>';
+    }
+    
+    const today = new Date().toLocaleDateString('sv-SE');
+    const weekdays = [...new Set(slots.map(slot => slot.weekday))].sort((a, b) => a - b);
+    const groups = [...new Set(slots.map(slot => slot.group_name))];
+    
+    return html`
+        <table class="schedule-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${weekdays.map(weekday => html`<th scope="col">${Training.getWeekdayName(weekday).toUpperCase()}</th>`)}
+                </tr>
+            </thead>
+            <tbody>
+                ${groups.map(group => html`
+                    <tr>
+                        <td><strong>${group.toUpperCase()}</strong></td>
+                        ${weekdays.map(weekday => {
+                            const groupSlots = slots.filter(slot => slot.group_name === group && slot.weekday === weekday);
+                            return groupSlots.length === 0
+                                ? html`<td>/</td>`
+                                : html`<td>${groupSlots.map(slot => renderSlot(slot, today, exceptions))}</td>`;
+                        })}
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderSlot(slot, today, exceptions) {
+    const date = Training.getNextWeekdayDate(slot.weekday, today);
+    const cancellation = Training.getCancellation(slot, date, exceptions);
+    const time = `${formatTime(slot.start_time)} - ${formatTime(slot.end_time)}`;
+    const details = [slot.hall, slot.coach].filter(Boolean).join(', ');
+    
+    return html`
+        <div class="training-slot${cancellation ? ' training-cancelled' : ''}">
+            ${cancellation ? html`<s>${time}</s> <span class="training-status">otkazano ${formatDate(date)}</span>` : time}
+            ${details ? html`<small>${details}</small>` : ''}
+        </div>
+    `;
+}
+
+function renderExceptions(slots, exceptions) {
+    if (exceptions.length === 0) return '';
+    
+    return html`
+        <h3>Otkazani treninzi</h3>
+        <ul class="training-exceptions-list">
+            ${exceptions.map(exception => {
+                const slot = slots.find(s => s.id === exception.slot_id);
+                const dates = exception.start_date === exception.end_date
+                    ? formatDate(exception.start_date)
+                    : `${formatDate(exception.start_date)} - ${formatDate(exception.end_date)}`;
+                const scope = slot
+                    ? `${slot.group_name}, ${Training.getWeekdayName(slot.weekday).toLowerCase()} ${formatTime(slot.start_time)}`
+                    : 'svi treninzi';
+                return html`<li><strong>${dates}</strong> (${scope})${exception.note ? ` - ${exception.note}` : ''}</li>`;
+            })}
+        </ul>
+    `;
+}
+
+// 16:00:00 -> 16:00
+function formatTime(time) {
+    return time.slice(0, 5);
+}
+
+// 2024-12-24 -> 24.12.2024.
+function formatDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return `${day}.${month}.${year}.`;
+}
@@ -1,4 +1,7 @@
 // Documents Management JavaScript
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
 document.addEventListener('DOMContentLoaded', function() {
     initDocumentsPage();
 });
@@ -11,15 +14,19 @@ function initDocumentsPage() {
     setupDownloadHandlers();
 }
 
-// Load documents from backend API
+// Load documents and the document types from backend API
 async function loadDocuments() {
     try {
-        const response = await fetch('/api/documents');
-        if (!response.ok) {
+        const [response, categoriesResponse] = await Promise.all([
+            fetch('/api/documents'),
+            fetch('/api/categories?type=document')
+        ]);
+        if (!response.ok || !categoriesResponse.ok) {
             throw new Error('Failed to fetch documents');
         }
         
         const documents = await response.json();
+        const categories = await categoriesResponse.json();
         
         // Transform documents into categorized format
         const categorizedDocuments = {};
@@ -33,93 +40,69 @@ async function loadDocuments() {
                 filename: doc.file_filename,
                 date: formatDate(doc.created_at),
                 category: doc.category,
-                fileUrl: `/api/documents/${doc.id}/file`
+                fileUrl: `/api/documents/${doc.id}/file?v=${doc.file_hash}`
             });
         });
         
         // Populate document categories
-        populateDocumentCategories(categorizedDocuments);
+        populateDocumentCategories(categories, categorizedDocuments);
         
     } catch (error) {
         console.error('Error loading documents:', error);
         // Fallback to static data if API fails
-        const documents = getStaticDocuments();
-        populateDocumentCategories(documents);
+        const { categories, documents } = getStaticDocuments();
+        populateDocumentCategories(categories, documents);
     }
 }
 
 // Static documents data - will be replaced with database
 function getStaticDocuments() {
     return {
-        'statut': [
-            {
-                id: 1,
-                title: 'Statut kluba',
-                filename: 'statut-kluba.pdf',
-                date: '15.03.2024',
-                category: 'statut'
-            }
-        ],
-        'prijave': [
-            {
-                id: 2,
-                title: 'Pristupnica za sezonu 2024/2025',
-                filename: 'pristupnica-2024-2025.pdf',
-                date: '01.09.2024',
-                category: 'prijave'
-            }
-        ],
-        'natjecanja': [
-            {
-                id: 3,
-                title: 'Pravila natjecanja 2024/2025',
-                filename: 'pravila-natjecanja-2024-2025.pdf',
-                date: '20.08.2024',
-                category: 'natjecanja'
-            }
+        categories: [
+            { slug: 'statut', name: 'Statut kluba' },
+            { slug: 'prijave', name: 'Izvještaji i odluke' }
         ],
-        'ostali': [
-            {
-                id: 4,
-                title: 'Sigurnosni protokol',
-                filename: 'sigurnosni-protokol.pdf',
-                date: '10.09.2024',
-                category: 'ostali'
-            }
-        ]
+        documents: {
+            'statut': [
+                {
+                    id: 1,
+                    title: 'Statut kluba',
+                    filename: 'statut-kluba.pdf',
+                    date: '15.03.2024',
+                    category: 'statut'
+                }
+            ],
+            'prijave': [
+                {
+                    id: 2,
+                    title: 'Pristupnica za sezonu 2024/2025',
+                    filename: 'pristupnica-2024-2025.pdf',
+                    date: '01.09.2024',
+                    category: 'prijave'
+                }
+            ]
+        }
     };
 }
 
-// Populate document categories with data
-function populateDocumentCategories(documents) {
-    // Map category keys to HTML elements
-    const categoryMapping = {
-        'statut': 'statut-documents',
-        'prijave': 'prijave-documents', 
-        'ostali': 'ostali-documents',
-        'general': 'ostali-documents' // Default category goes to "Ostali dokumenti"
-    };
+// One section per document type in the CMS order; types without documents are left out
+function populateDocumentCategories(categories, documents) {
+    const container = document.getElementById('documentCategories');
+    if (!container) return;
     
-    // Clear all containers first
-    Object.values(categoryMapping).forEach(elementId => {
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.innerHTML = '';
-        }
-    });
+    container.innerHTML = html`${categories
+        .filter(category => documents[category.slug])
+        .map(category => html`
+            <div class="category-section">
+                <h3>${category.name.toUpperCase()}</h3>
+                <div class="documents-list" data-category="${category.slug}"></div>
+            </div>
+        `)}`;
     
-    // Populate each category
-    Object.keys(documents).forEach(categoryKey => {
-        const categoryId = categoryMapping[categoryKey] || categoryMapping['general'];
-        const container = document.getElementById(categoryId);
-        
-        if (container && documents[categoryKey]) {
-            // Add documents from database
-            documents[categoryKey].forEach(doc => {
-                const documentElement = createDocumentElement(doc);
-                container.appendChild(documentElement);
-            });
-        }
+    container.querySelectorAll('.documents-list').forEach(list => {
+        documents[list.dataset.category].forEach(doc => {
+            list.appendChild(createDocumentElement(doc));
+        });
     });
 }
 
@@ -127,7 +110,7 @@ function populateDocumentCategories(documents) {
 function createDocumentElement(doc) {
     const div = document.createElement('div');
     div.className = 'document-item';
-    div.innerHTML = `
+    div.innerHTML = html`
         <div class="document-icon">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
@@ -0,0 +1,129 @@
+// Membership fees - plan periods, obligation states, amounts and the HR01 reference number of a
+// payment; shared by the browser (cms.js) and the server (server.js, payments.js)
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./seasons'));
+    } else {
+        root.Fees = factory(root.Seasons);
+    }
+}(typeof self !== 'undefined' ? self : this, function(Seasons) {
+    // A plan is billed once per season (period 2026) or every month of the season (period 2026-10)
+    const FEE_FREQUENCIES = {
+        season: 'Sezonska',
+        monthly: 'Mjesečna'
+    };
+
+    // State of an obligation and its name in the CMS
+    const FEE_STATUSES = {
+        open: 'Nepodmireno',
+        partial: 'Djelomično plaćeno',
+        overdue: 'Dospjelo',
+        paid: 'Plaćeno'
+    };
+
+    const MONTH_NAMES = ['siječanj', 'veljača', 'ožujak', 'travanj', 'svibanj', 'lipanj',
+        'srpanj', 'kolovoz', 'rujan', 'listopad', 'studeni', 'prosinac'];
+
+    // Seasons run from September to August
+    const SEASON_FIRST_MONTH = 9;
+
+    // The reference model printed on slips - its control digit is checked by the banks
+    const REFERENCE_MODEL = 'HR01';
+
+    function isValidFrequency(frequency) {
+        return Object.prototype.hasOwnProperty.call(FEE_FREQUENCIES, frequency);
+    }
+
+    function getStatusName(status) {
+        return FEE_STATUSES[status] || '';
+    }
+
+    // The months of the 2026/27 season: 2026-09 ... 2027-08
+    function getSeasonMonths(year) {
+        return Array.from({ length: 12 }, (unused, index) => {
+            const month = (SEASON_FIRST_MONTH - 1 + index) % 12 + 1;
+            const monthYear = Number(year) + (month < SEASON_FIRST_MONTH ? 1 : 0);
+            return `${monthYear}-${String(month).padStart(2, '0')}`;
+        });
+    }
+
+    // The periods a plan of the season `year` can be billed for
+    function getPlanPeriods(plan) {
+        return plan.frequency === 'monthly' ? getSeasonMonths(plan.year) : [String(plan.year)];
+    }
+
+    function isValidPlanPeriod(plan, period) {
+        return getPlanPeriods(plan).includes(period);
+    }
+
+    // 2026 -> 2026/27, 2026-10 -> listopad 2026
+    function getPeriodLabel(period) {
+        const [year, month] = String(period).split('-');
+        return month ? `${MONTH_NAMES[Number(month) - 1]} ${year}` : Seasons.getSeasonLabel(year);
+    }
+
+    // Euros with two decimals (12.5, '12,50') -> cents, null for anything else
+    function parseAmount(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim().replace(',', '.');
+        if (!/^\d{1,6}(\.\d{1,2})?$/.test(text)) return null;
+        return Math.round(Number(text) * 100);
+    }
+
+    // 2550 -> 25,50 €
+    function formatAmount(cents) {
+        return `${(Number(cents) / 100).toLocaleString('hr-HR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+    }
+
+    // Paid, partially paid or still open; open and partially paid obligations are overdue after the due date
+    function getObligationStatus(obligation, today) {
+        if (obligation.paid_cents >= obligation.amount_cents) return 'paid';
+        if (obligation.due_date < today) return 'overdue';
+        return obligation.paid_cents > 0 ? 'partial' : 'open';
+    }
+
+    // MOD 11 INI control digit: weights 2, 3, 4, ... from the rightmost digit, 0 for remainders 0 and 1
+    function getReferenceControlDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            sum += Number(digits[digits.length - 1 - i]) * (i + 2);
+        }
+        const remainder = sum % 11;
+        return remainder <= 1 ? 0 : 11 - remainder;
+    }
+
+    // HR01 reference plan-member-period with the control digit of all of them at the end,
+    // e.g. plan 3, member 42, period 2026-10 -> 3-42-2026100
+    function getFeeReference(planId, memberId, period) {
+        const parts = [String(planId), String(memberId), String(period).replace('-', '')];
+        return `${parts.join('-')}${getReferenceControlDigit(parts.join(''))}`;
+    }
+
+    // A reference as written on a bank statement ("HR01 3-42-2026100", "3 42 2026100") -> 3-42-2026100,
+    // or null if it is not a valid HR01 reference of this club
+    function normalizeFeeReference(value) {
+        const text = String(value || '').toUpperCase().replace(new RegExp(`^\\s*${REFERENCE_MODEL}`), '').trim();
+        const parts = text.split(/[\s-]+/);
+        if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+
+        const digits = parts.join('');
+        if (getReferenceControlDigit(digits.slice(0, -1)) !== Number(digits.slice(-1))) return null;
+        return parts.map(part => part.replace(/^0+(?=\d)/, '')).join('-');
+    }
+
+    return {
+        FEE_FREQUENCIES,
+        FEE_STATUSES,
+        REFERENCE_MODEL,
+        isValidFrequency,
+        getStatusName,
+        getPlanPeriods,
+        isValidPlanPeriod,
+        getPeriodLabel,
+        parseAmount,
+        formatAmount,
+        getObligationStatus,
+        getReferenceControlDigit,
+        getFeeReference,
+        normalizeFeeReference
+    };
+}));
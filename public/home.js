@@ -0,0 +1,124 @@
+// Homepage - the latest news from /api/articles, upcoming matches and club events from /api/calendar,
+// and the calendar feeds (.ics) families can subscribe to
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
+// Number of entries shown on the homepage
+const LATEST_NEWS_LIMIT = 3;
+const UPCOMING_EVENTS_LIMIT = 6;
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadLatestNews();
+    loadUpcomingEvents();
+    loadCalendarFeeds();
+});
+
+async function loadLatestNews() {
+    const list = document.getElementById('latestNews');
+    if (!list) return;
+    
+    try {
+        const response = await fetch(`/api/articles?limit=${LATEST_NEWS_LIMIT}`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch articles');
+        }
+        
+        const { articles } = await response.json();
+        if (articles.length === 0) {
+            list.innerHTML = '<p class="normal-case">Trenutno nema novosti.</p>';
+            return;
+        }
+        
+        list.innerHTML = html`${articles.map(article => html`
+            <li class="news-item">
+                <a href="${Articles.getArticleUrl(article)}" class="news-link">
+                    ${article.cover_hash ? html`
+                        <img class="news-cover" src="/api/articles/${article.id}/cover?size=thumb&v=${article.cover_hash}"
+                             srcset="${Articles.getArticleCoverSrcset(article)}" sizes="(max-width: 768px) 100vw, 320px"
+                             alt="" loading="lazy">
+                    ` : ''}
+                    <time class="news-date" datetime="${article.published_at}">${Articles.formatArticleDate(article.published_at)}</time>
+                    <strong class="news-title">${article.title}</strong>
+                    <span class="news-excerpt">${article.excerpt}</span>
+                </a>
+            </li>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading latest news:', error);
+        list.innerHTML = '<p class="normal-case">Novosti trenutno nije moguće učitati.</p>';
+    }
+}
+
+async function loadUpcomingEvents() {
+    const list = document.getElementById('upcomingEvents');
+    if (!list) return;
+    
+    try {
+        const response = await fetch(`/api/calendar?limit=${UPCOMING_EVENTS_LIMIT}`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch calendar');
+        }
+        
+        const entries = await response.json();
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="normal-case">Trenutno nema najavljenih događaja.</p>';
+            return;
+        }
+        
+        list.innerHTML = html`${entries.map(entry => html`
+            <li class="event-item${entry.status === 'cancelled' ? ' event-cancelled' : ''}">
+                <time class="event-date" datetime="${entry.time ? `${entry.date}T${entry.time.slice(0, 5)}` : entry.date}">
+                    ${formatEventDate(entry)}
+                </time>
+                <div class="event-info">
+                    <strong>${entry.title}</strong>
+                    ${entry.status === 'cancelled' ? html`<span class="event-status">Otkazano</span>` : ''}
+                    ${entry.location ? html`<span class="event-location">${entry.location}</span>` : ''}
+                </div>
+            </li>
+        `)}`;
+    } catch (error) {
+        console.error('Error loading upcoming events:', error);
+        list.innerHTML = '<p class="normal-case">Događaje trenutno nije moguće učitati.</p>';
+    }
+}
+
+// webcal:// opens the subscription dialog of the phone or desktop calendar
+async function loadCalendarFeeds() {
+    const list = document.getElementById('calendarFeeds');
+    if (!list) return;
+    
+    const feedUrl = path => `webcal://${window.location.host}${path}`;
+    let teams = [];
+    try {
+        const response = await fetch('/api/categories?type=team');
+        if (!response.ok) {
+            throw new Error('Failed to fetch categories');
+        }
+        teams = await response.json();
+    } catch (error) {
+        console.error('Error loading teams:', error);
+    }
+    
+    list.innerHTML = html`
+        <li><a href="${feedUrl('/api/calendar.ics')}">Cijeli klub</a></li>
+        ${teams.map(team => html`<li><a href="${feedUrl(`/api/calendar/${team.slug}.ics`)}">${team.name}</a></li>`)}
+    `;
+}
+
+// 2024-10-05 and 18:00:00 -> sub, 5.10. u 18:00; multi-day events show the last day too
+function formatEventDate(entry) {
+    const format = date => {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('hr-HR', { weekday: 'short', day: 'numeric', month: 'numeric' });
+    };
+    
+    let text = format(entry.date);
+    if (entry.end_date && entry.end_date !== entry.date) {
+        text += ` - ${format(entry.end_date)}`;
+    }
+    if (entry.time) {
+        text += ` u ${entry.time.slice(0, 5)}`;
+    }
+    return text;
+}
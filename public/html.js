@@ -0,0 +1,61 @@
+// HTML Templating - escapes interpolated values; shared by the browser and the server (emails.js)
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HtmlTemplate = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    const ESCAPE_MAP = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    // Markup that is already safe and must not be escaped again
+    class SafeHtml {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    // Escape a value for use in element content or a quoted attribute
+    function escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, char => ESCAPE_MAP[char]);
+    }
+
+    // Mark trusted markup (e.g. static SVG) so html`` inserts it as-is
+    function raw(value) {
+        return new SafeHtml(String(value));
+    }
+
+    function renderValue(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(renderValue).join('');
+        return escapeHtml(value);
+    }
+
+    // Tagged template: html`<p>${text}</p>` escapes every interpolated value
+    // except nested html`` results, raw() fragments and arrays of those.
+    function html(strings, ...values) {
+        let output = strings[0];
+        values.forEach((value, index) => {
+            output += renderValue(value) + strings[index + 1];
+        });
+        return new SafeHtml(output);
+    }
+
+    return {
+        escapeHtml,
+        raw,
+        html
+    };
+}));
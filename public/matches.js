@@ -0,0 +1,130 @@
+// Volleyball match scoring and league tables - shared by the browser (results.js, cms.js) and the server
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Matches = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    // Default home team in the CMS and the highlighted row of the league tables
+    const CLUB_TEAM_NAME = 'OOK Fažana';
+
+    const SETS_TO_WIN = 3;
+
+    // "25:20, 23:25, 25:18" -> [{ home: 25, away: 20 }, ...]; null if the text is not a finished
+    // match (every set has a winner, and the match ends when a team wins its third set)
+    function parseSetScores(text) {
+        const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+        const sets = [];
+        let homeSets = 0;
+        let awaySets = 0;
+
+        for (const part of parts) {
+            const match = /^(\d{1,2})\s*[:-]\s*(\d{1,2})$/.exec(part);
+            if (!match || homeSets === SETS_TO_WIN || awaySets === SETS_TO_WIN) return null;
+
+            const set = { home: Number(match[1]), away: Number(match[2]) };
+            if (set.home === set.away) return null;
+
+            set.home > set.away ? homeSets++ : awaySets++;
+            sets.push(set);
+        }
+
+        return Math.max(homeSets, awaySets) === SETS_TO_WIN ? sets : null;
+    }
+
+    function formatSetScores(sets) {
+        return sets.map(set => `${set.home}:${set.away}`).join(', ');
+    }
+
+    // Sets won by each team, e.g. { home: 3, away: 1 }
+    function getMatchResult(sets) {
+        return {
+            home: sets.filter(set => set.home > set.away).length,
+            away: sets.filter(set => set.away > set.home).length
+        };
+    }
+
+    // The winner has exactly three sets, the loser 0-2
+    function isValidMatchResult(homeSets, awaySets) {
+        const sets = [Number(homeSets), Number(awaySets)];
+        return sets.every(Number.isInteger) &&
+            Math.max(...sets) === SETS_TO_WIN &&
+            Math.min(...sets) >= 0 && Math.min(...sets) < SETS_TO_WIN;
+    }
+
+    // 3:0 and 3:1 give the winner 3 points; 3:2 gives the winner 2 and the loser 1
+    function getMatchPoints(homeSets, awaySets) {
+        const winnerPoints = Math.min(homeSets, awaySets) === 2 ? 2 : 3;
+        const loserPoints = 3 - winnerPoints;
+        return homeSets > awaySets
+            ? { home: winnerPoints, away: loserPoints }
+            : { home: loserPoints, away: winnerPoints };
+    }
+
+    // Ratio for the tiebreakers; a team that lost nothing ranks above any finite ratio
+    function getRatio(won, lost) {
+        return lost === 0 ? (won === 0 ? 0 : Infinity) : won / lost;
+    }
+
+    // League table from played matches ({ home_team, away_team, home_sets, away_sets, set_scores }).
+    // Ranked by points, then wins, set ratio and ball point ratio.
+    function computeStandings(matches) {
+        const rows = new Map();
+        const getRow = team => {
+            if (!rows.has(team)) {
+                rows.set(team, { team, played: 0, won: 0, lost: 0, sets_won: 0, sets_lost: 0, points_won: 0, points_lost: 0, points: 0 });
+            }
+            return rows.get(team);
+        };
+
+        matches
+            .filter(match => isValidMatchResult(match.home_sets, match.away_sets))
+            .forEach(match => {
+                const home = getRow(match.home_team);
+                const away = getRow(match.away_team);
+                const points = getMatchPoints(match.home_sets, match.away_sets);
+                const sets = parseSetScores(match.set_scores) || [];
+
+                home.played++;
+                away.played++;
+                home.points += points.home;
+                away.points += points.away;
+                if (match.home_sets > match.away_sets) {
+                    home.won++;
+                    away.lost++;
+                } else {
+                    away.won++;
+                    home.lost++;
+                }
+                home.sets_won += match.home_sets;
+                home.sets_lost += match.away_sets;
+                away.sets_won += match.away_sets;
+                away.sets_lost += match.home_sets;
+                sets.forEach(set => {
+                    home.points_won += set.home;
+                    home.points_lost += set.away;
+                    away.points_won += set.away;
+                    away.points_lost += set.home;
+                });
+            });
+
+        return [...rows.values()].sort((a, b) =>
+            b.points - a.points ||
+            b.won - a.won ||
+            getRatio(b.sets_won, b.sets_lost) - getRatio(a.sets_won, a.sets_lost) ||
+            getRatio(b.points_won, b.points_lost) - getRatio(a.points_won, a.points_lost) ||
+            a.team.localeCompare(b.team)
+        );
+    }
+
+    return {
+        CLUB_TEAM_NAME,
+        parseSetScores,
+        formatSetScores,
+        getMatchResult,
+        isValidMatchResult,
+        getMatchPoints,
+        computeStandings
+    };
+}));
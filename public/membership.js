@@ -22,6 +22,18 @@ function initMembershipForm() {
     oibInput.addEventListener('input', function() {
         validateOIB(this);
     });
+
+    // Clear a field's error as soon as the user edits it
+    form.addEventListener('input', function(e) {
+        if (e.target.name && e.target.name !== 'oib') {
+            clearFieldError(e.target);
+        }
+    });
+    form.addEventListener('change', function(e) {
+        if (e.target.type === 'checkbox') {
+            clearFieldError(e.target);
+        }
+    });
 }
 
 function validateOIB(input) {
@@ -29,32 +41,65 @@ function validateOIB(input) {
     input.value = oib;
 
     if (oib.length === 11) {
-        if (isValidOIB(oib)) {
+        if (MembershipValidation.isValidOIB(oib)) {
             input.style.borderColor = '#28a745';
-            input.setCustomValidity('');
+            clearFieldError(input);
         } else {
             input.style.borderColor = '#dc3545';
-            input.setCustomValidity('Neispravan OIB');
+            showFieldError(input, 'Neispravan OIB');
         }
     } else {
         input.style.borderColor = '';
-        input.setCustomValidity('');
+        clearFieldError(input);
     }
 }
 
-function isValidOIB(oib) {
-    // Croatian OIB validation algorithm
-    if (oib.length !== 11) return false;
-    
-    let sum = 10;
-    for (let i = 0; i < 10; i++) {
-        sum = (sum + parseInt(oib[i])) % 10;
-        if (sum === 0) sum = 10;
-        sum = (sum * 2) % 11;
+// Show a validation message next to the given input
+function showFieldError(input, message) {
+    const container = input.closest('.form-group, .checkbox-group');
+    if (!container) return;
+
+    let errorEl = container.querySelector('.field-error');
+    if (!errorEl) {
+        errorEl = document.createElement('span');
+        errorEl.className = 'field-error';
+        container.appendChild(errorEl);
+    }
+
+    errorEl.textContent = message;
+    input.classList.add('input-error');
+    input.setAttribute('aria-invalid', 'true');
+}
+
+function clearFieldError(input) {
+    const container = input.closest('.form-group, .checkbox-group');
+    const errorEl = container && container.querySelector('.field-error');
+    if (errorEl) {
+        errorEl.remove();
+    }
+
+    input.classList.remove('input-error');
+    input.removeAttribute('aria-invalid');
+}
+
+// Show per-field errors returned by MembershipValidation or the server
+function showFieldErrors(errors) {
+    const form = document.getElementById('membershipForm');
+
+    form.querySelectorAll('[name]').forEach(input => clearFieldError(input));
+
+    let firstInvalid = null;
+    Object.keys(errors).forEach(field => {
+        const input = form.querySelector(`[name="${field}"]`);
+        if (input) {
+            showFieldError(input, errors[field]);
+            firstInvalid = firstInvalid || input;
+        }
+    });
+
+    if (firstInvalid) {
+        firstInvalid.focus();
     }
-    
-    const checkDigit = (11 - sum) % 10;
-    return checkDigit === parseInt(oib[10]);
 }
 
 async function handleFormSubmission() {
@@ -67,6 +112,14 @@ async function handleFormSubmission() {
         data[key] = value;
     }
 
+    // Validate with the same rules the server uses
+    const validation = MembershipValidation.validateMembership(data);
+    if (!validation.valid) {
+        showFieldErrors(validation.errors);
+        showErrorMessage('Molimo ispravite označena polja.');
+        return;
+    }
+
     // Show loading state
     const submitBtn = form.querySelector('.submit-btn');
     const originalText = submitBtn.textContent;
@@ -85,8 +138,13 @@ async function handleFormSubmission() {
         if (response.ok) {
             showSuccessMessage('Uspješno ste se upisali! Kontaktirat ćemo vas uskoro.');
             form.reset();
+            document.getElementById('oib').style.borderColor = '';
             // Reset enrollment date to today
             document.getElementById('datum-upisa').value = new Date().toISOString().split('T')[0];
+        } else if (response.status === 400) {
+            const result = await response.json();
+            showFieldErrors(result.fields || {});
+            showErrorMessage('Molimo ispravite označena polja.');
         } else {
             throw new Error('Greška pri slanju zahtjeva');
         }
@@ -0,0 +1,101 @@
+// News page - the published articles, newest first, or a single article with ?clanak=<slug>
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
+// Articles loaded per page of the list
+const NEWS_PAGE_SIZE = 12;
+
+// Articles shown in the list so far
+let loadedArticles = 0;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const slug = new URLSearchParams(window.location.search).get('clanak');
+
+    if (slug) {
+        loadArticle(slug);
+    } else {
+        loadNewsPage();
+        document.getElementById('newsMore').addEventListener('click', loadNewsPage);
+    }
+});
+
+// Append the next page of articles to the list
+async function loadNewsPage() {
+    const list = document.getElementById('newsList');
+    const moreButton = document.getElementById('newsMore');
+
+    try {
+        const response = await fetch(`/api/articles?limit=${NEWS_PAGE_SIZE}&offset=${loadedArticles}`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch articles');
+        }
+
+        const { articles, total } = await response.json();
+        if (loadedArticles === 0 && articles.length === 0) {
+            list.innerHTML = '<p class="normal-case">Trenutno nema novosti.</p>';
+            return;
+        }
+
+        list.insertAdjacentHTML('beforeend', html`${articles.map(renderArticleCard)}`);
+        loadedArticles += articles.length;
+        moreButton.hidden = loadedArticles >= total;
+    } catch (error) {
+        console.error('Error loading articles:', error);
+        list.insertAdjacentHTML('beforeend', '<p class="normal-case">Novosti trenutno nije moguće učitati.</p>');
+        moreButton.hidden = true;
+    }
+}
+
+function renderArticleCard(article) {
+    return html`
+        <li class="news-item">
+            <a href="${Articles.getArticleUrl(article)}" class="news-link">
+                ${article.cover_hash ? html`
+                    <img class="news-cover" src="/api/articles/${article.id}/cover?size=thumb&v=${article.cover_hash}"
+                         srcset="${Articles.getArticleCoverSrcset(article)}" sizes="(max-width: 768px) 100vw, 320px"
+                         alt="" loading="lazy">
+                ` : ''}
+                <time class="news-date" datetime="${article.published_at}">${Articles.formatArticleDate(article.published_at)}</time>
+                <strong class="news-title">${article.title}</strong>
+                <span class="news-excerpt">${article.excerpt}</span>
+            </a>
+        </li>
+    `;
+}
+
+// Show one article instead of the list; unknown, draft and scheduled articles are not found
+async function loadArticle(slug) {
+    const container = document.getElementById('newsArticle');
+    document.getElementById('newsListSection').hidden = true;
+    container.hidden = false;
+
+    try {
+        const response = await fetch(`/api/articles/${encodeURIComponent(slug)}`);
+        if (response.status === 404) {
+            container.innerHTML = html`
+                <a href="novosti.html" class="news-back-link">&larr; Sve novosti</a>
+                <h1>Novost nije pronađena</h1>
+            `;
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to fetch article');
+        }
+
+        const article = await response.json();
+        document.title = `${article.title} - OOK FAŽANA`;
+        container.innerHTML = html`
+            <a href="novosti.html" class="news-back-link">&larr; Sve novosti</a>
+            <h1>${article.title}</h1>
+            <time class="news-date" datetime="${article.published_at}">${Articles.formatArticleDate(article.published_at)}</time>
+            ${article.cover_hash ? html`
+                <img class="news-article-cover" src="/api/articles/${article.id}/cover?size=display&v=${article.cover_hash}"
+                     srcset="${Articles.getArticleCoverSrcset(article)}" sizes="(max-width: 800px) 100vw, 760px" alt="">
+            ` : ''}
+            <div class="news-article-body">${Articles.renderArticleBody(article.body)}</div>
+        `;
+    } catch (error) {
+        console.error('Error loading article:', error);
+        container.innerHTML = '<p class="normal-case">Novost trenutno nije moguće učitati.</p>';
+    }
+}
@@ -0,0 +1,52 @@
+// Partners page (prijatelji.html) - the partners from /api/partners, in the order set in the CMS
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadPartners();
+});
+
+async function loadPartners() {
+    const container = document.getElementById('partnersList');
+
+    try {
+        const response = await fetch('/api/partners');
+        if (!response.ok) {
+            throw new Error('Failed to fetch partners');
+        }
+
+        const partners = await response.json();
+        if (partners.length === 0) {
+            container.innerHTML = '<p class="normal-case">Popis trenutno nije dostupan.</p>';
+            return;
+        }
+
+        container.innerHTML = html`
+            <div class="info-entry">
+                <div class="info-left">
+                    ${partners.map(renderPartner)}
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading partners:', error);
+        container.innerHTML = '<p class="normal-case">Popis trenutno nije moguće učitati.</p>';
+    }
+}
+
+function renderPartner(partner) {
+    return html`
+        <div class="partner">
+            ${partner.logo_hash ? html`
+                <img class="partner-logo" src="/api/partners/${partner.id}/logo?size=thumb&v=${partner.logo_hash}"
+                     alt="${partner.name}" loading="lazy">
+            ` : ''}
+            <div class="partner-details">
+                <h3>${partner.link
+                    ? html`<a href="${partner.link}" target="_blank" rel="noopener noreferrer" class="friend-link">${partner.name}</a>`
+                    : partner.name}</h3>
+                ${partner.description ? html`<p class="partner-description">${partner.description}</p>` : ''}
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,95 @@
+// Coaches (treneri.html) and board (uprava.html) pages - the people from /api/people, in the
+// order set in the CMS
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const coachesList = document.getElementById('coachesList');
+    const boardList = document.getElementById('boardList');
+
+    if (coachesList) {
+        loadPeople('coach', coachesList, renderCoachGroup);
+    }
+    if (boardList) {
+        loadPeople('board', boardList, renderBoardGroup);
+    }
+});
+
+async function loadPeople(type, container, renderGroup) {
+    try {
+        const response = await fetch(`/api/people?type=${type}`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch people');
+        }
+
+        const people = await response.json();
+        if (people.length === 0) {
+            container.innerHTML = '<p class="normal-case">Popis trenutno nije dostupan.</p>';
+            return;
+        }
+
+        // Coaches are grouped by team and board members by role, keeping the CMS order
+        const key = type === 'coach' ? 'team' : 'role';
+        container.innerHTML = html`${groupConsecutive(people, key).map(renderGroup)}`;
+    } catch (error) {
+        console.error('Error loading people:', error);
+        container.innerHTML = '<p class="normal-case">Popis trenutno nije moguće učitati.</p>';
+    }
+}
+
+// [{ name, people }] for each run of people with the same value of `key`
+function groupConsecutive(people, key) {
+    const groups = [];
+    people.forEach(person => {
+        const name = person[key] || '';
+        const last = groups[groups.length - 1];
+        if (last && last.name === name) {
+            last.people.push(person);
+        } else {
+            groups.push({ name, people: [person] });
+        }
+    });
+    return groups;
+}
+
+// A team field listing several teams ("Mini odbojka (U11), Mala odbojka (U13)") is shown one per line
+function renderCoachGroup(group) {
+    const teams = group.name.split(',').map(team => team.trim()).filter(Boolean);
+
+    return html`
+        <div class="info-entry">
+            <div class="info-left">
+                ${teams.map(team => html`<p><strong>${team}</strong></p>`)}
+            </div>
+            <div class="info-right">
+                ${group.people.map(renderPerson)}
+            </div>
+        </div>
+    `;
+}
+
+function renderBoardGroup(group) {
+    return html`
+        <div class="info-entry">
+            <div class="info-left">
+                <h3>${group.name}</h3>
+                ${group.people.map(renderPerson)}
+            </div>
+        </div>
+    `;
+}
+
+function renderPerson(person) {
+    return html`
+        <div class="person">
+            ${person.photo_hash ? html`
+                <img class="person-photo" src="/api/people/${person.id}/photo?size=thumb&v=${person.photo_hash}"
+                     alt="${person.name}" loading="lazy">
+            ` : ''}
+            <div class="person-details">
+                <p>${person.link ? html`<a href="${person.link}" class="friend-link" target="_blank" rel="noopener noreferrer">${person.name}</a>` : person.name}</p>
+                ${person.bio ? html`<p class="person-bio">${person.bio}</p>` : ''}
+            </div>
+        </div>
+    `;
+}
@@ -1,8 +1,28 @@
 // Results Management JavaScript
+// HTML templating - escapes every interpolated value (see html.js)
+const { html } = HtmlTemplate;
+
 document.addEventListener('DOMContentLoaded', function() {
     initResultsPage();
 });
 
+// Gallery shown in the image modal and the index of the visible image
+const modalGallery = {
+    title: '',
+    description: '',
+    images: [],
+    index: 0
+};
+
+// Results of the current page by category, including their galleries
+let pageResults = {};
+
+// Season shown on the page, resolved from ?sezona= by loadCurrentSeason
+let currentSeason = null;
+
+// Teams in display order, from /api/categories
+let teamCategories = [];
+
 function initResultsPage() {
     // Load results images from API/database
     loadResultsImages();
@@ -17,9 +37,71 @@ function initResultsPage() {
     setupViewButtonHandlers();
 }
 
+// Resolve the season from ?sezona=<slug> (the newest published season without it) and
+// put its label into the page; returns null for an unknown or hidden season
+async function loadCurrentSeason() {
+    const response = await fetch('/api/seasons');
+    if (!response.ok) {
+        throw new Error('Failed to fetch seasons');
+    }
+    
+    const seasons = (await response.json()).filter(season => season.published);
+    const slug = new URLSearchParams(window.location.search).get('sezona');
+    const season = slug ? seasons.find(s => s.slug === slug) : seasons[0];
+    const titleElement = document.getElementById('seasonTitle');
+    
+    if (!season) {
+        if (titleElement) titleElement.textContent = 'Sezona nije pronađena';
+        return null;
+    }
+    
+    document.title = `Rezultati ${season.label} - OOK FAŽANA`;
+    if (titleElement) titleElement.textContent = `Rezultati ${season.label}`;
+    document.querySelectorAll('.result-image').forEach(imageElement => {
+        imageElement.dataset.year = season.year;
+        imageElement.alt = `${getCategoryName(imageElement.dataset.category)} Rezultati ${season.label}`;
+    });
+    
+    return season;
+}
+
+// One result card per team
+async function loadTeamCategories() {
+    const response = await fetch('/api/categories?type=team');
+    if (!response.ok) {
+        throw new Error('Failed to fetch categories');
+    }
+    
+    teamCategories = await response.json();
+    document.getElementById('resultCategories').innerHTML = html`${teamCategories.map(category => html`
+        <div class="result-category">
+            <h3>${category.name}</h3>
+            <div class="result-image-container">
+                <img src="" alt="${category.name} Rezultati" class="result-image" data-category="${category.slug}">
+                <div class="image-overlay">
+                    <button class="view-btn">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                            <circle cx="12" cy="12" r="3"></circle>
+                        </svg>
+                        Pogledaj
+                    </button>
+                </div>
+            </div>
+        </div>
+    `)}`;
+}
+
 // Load results images from backend API
 async function loadResultsImages() {
     try {
+        await loadTeamCategories();
+        currentSeason = await loadCurrentSeason();
+        if (!currentSeason) {
+            populateResultImages(getStaticResults());
+            return;
+        }
+        
         console.log('Loading results images from API...');
         const response = await fetch('/api/results');
         if (!response.ok) {
@@ -29,13 +111,9 @@ async function loadResultsImages() {
         const allResults = await response.json();
         console.log('API results:', allResults);
         
-        // Get current year from URL (e.g., rezultati-2023.html -> 2023)
-        const currentYear = getCurrentYearFromURL();
-        console.log('Current year from URL:', currentYear);
-        
-        // Filter results for current year only
-        const results = allResults.filter(result => result.year === currentYear);
-        console.log('Filtered results for year', currentYear, ':', results);
+        // Filter results for the current season only
+        const results = allResults.filter(result => result.year === currentSeason.year);
+        console.log('Filtered results for season', currentSeason.label, ':', results);
         
         // Transform results into the format expected by populateResultImages
         const formattedResults = {};
@@ -46,11 +124,20 @@ async function loadResultsImages() {
         
         // Override with API data if available
         if (results && results.length > 0) {
-            results.forEach(result => {
-                // Use direct file path from database
+            results.filter(result => result.images.length > 0).forEach(result => {
+                const images = result.images.map(image => ({
+                    // The content hash in the URL lets the browser cache the image until it is replaced
+                    image: `/api/results/${result.id}/images/${image.id}?size=display&v=${image.image_hash}`,
+                    srcset: getResultImageSrcset(result.id, image),
+                    caption: image.caption
+                }));
+                
+                // The first gallery image is the cover shown on the page
                 formattedResults[result.category] = {
                     title: getCategoryName(result.category),
-                    image: `/api/results/${result.id}/image`,
+                    image: images[0].image,
+                    srcset: images[0].srcset,
+                    images,
                     description: result.description || `${result.category} results for ${result.year}`,
                     year: result.year,
                     id: result.id
@@ -61,6 +148,9 @@ async function loadResultsImages() {
         // Populate result images
         populateResultImages(formattedResults);
         
+        loadLeagueTables();
+        loadRosters();
+        
     } catch (error) {
         console.error('Error loading results:', error);
         // Fallback to static data if API fails
@@ -69,73 +159,194 @@ async function loadResultsImages() {
     }
 }
 
-// Static results data - will be replaced with database
+// League table and match list of every team that has matches in the current season
+async function loadLeagueTables() {
+    try {
+        const year = encodeURIComponent(currentSeason.year);
+        const [standingsResponse, matchesResponse] = await Promise.all([
+            fetch(`/api/standings?year=${year}`),
+            fetch(`/api/matches?year=${year}`)
+        ]);
+        if (!standingsResponse.ok || !matchesResponse.ok) {
+            throw new Error('Failed to fetch matches');
+        }
+        
+        const standings = await standingsResponse.json();
+        const matches = await matchesResponse.json();
+        
+        document.getElementById('leagueTables').innerHTML = html`${teamCategories
+            .filter(category => matches.some(match => match.category === category.slug))
+            .map(category => {
+                const standing = standings.find(s => s.category === category.slug);
+                return html`
+                    <section class="league-team">
+                        <h2>${category.name}</h2>
+                        ${standing ? renderStandingsTable(category, standing.table) : ''}
+                        ${renderMatchesTable(category, matches.filter(match => match.category === category.slug))}
+                    </section>
+                `;
+            })}`;
+    } catch (error) {
+        console.error('Error loading league tables:', error);
+    }
+}
+
+// Players of every team in the current season - only players with consent are returned
+async function loadRosters() {
+    try {
+        const response = await fetch(`/api/rosters?year=${encodeURIComponent(currentSeason.year)}`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch rosters');
+        }
+        
+        const players = await response.json();
+        
+        document.getElementById('teamRosters').innerHTML = html`${teamCategories
+            .filter(category => players.some(player => player.category === category.slug))
+            .map(category => html`
+                <section class="roster-team">
+                    <h2>Ekipa - ${category.name} ${currentSeason.label}</h2>
+                    <ul class="roster-list">
+                        ${players.filter(player => player.category === category.slug).map(renderRosterPlayer)}
+                    </ul>
+                </section>
+            `)}`;
+    } catch (error) {
+        console.error('Error loading rosters:', error);
+    }
+}
+
+function renderRosterPlayer(player) {
+    return html`
+        <li class="roster-player">
+            ${player.photo_hash
+                ? html`<img class="roster-photo" src="/api/rosters/${player.id}/photo?size=thumb&v=${player.photo_hash}" alt="${player.name}" loading="lazy">`
+                : html`<span class="roster-photo roster-photo-empty" aria-hidden="true"></span>`}
+            <span class="roster-number">${player.jersey_number === null ? '' : `#${player.jersey_number}`}</span>
+            <strong class="roster-name">${player.name}</strong>
+            <span class="roster-position">${Rosters.getPositionName(player.position)}</span>
+        </li>
+    `;
+}
+
+function renderStandingsTable(category, table) {
+    return html`
+        <div class="schedule-table-container">
+            <table class="schedule-table league-table">
+                <caption>Tablica - ${category.name} ${currentSeason.label}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">#</th>
+                        <th scope="col">Ekipa</th>
+                        <th scope="col"><abbr title="Odigrano">OU</abbr></th>
+                        <th scope="col"><abbr title="Pobjede">P</abbr></th>
+                        <th scope="col"><abbr title="Porazi">I</abbr></th>
+                        <th scope="col">Setovi</th>
+                        <th scope="col">Poeni</th>
+                        <th scope="col"><abbr title="Bodovi">Bod</abbr></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${table.map((row, index) => html`
+                        <tr class="${row.team === Matches.CLUB_TEAM_NAME ? 'club-row' : ''}">
+                            <td>${index + 1}.</td>
+                            <th scope="row">${row.team}</th>
+                            <td>${row.played}</td>
+                            <td>${row.won}</td>
+                            <td>${row.lost}</td>
+                            <td>${row.sets_won}:${row.sets_lost}</td>
+                            <td>${row.points_won}:${row.points_lost}</td>
+                            <td><strong>${row.points}</strong></td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Fixtures show the start time and the venue instead of a result
+function renderMatchesTable(category, matches) {
+    return html`
+        <div class="schedule-table-container">
+            <table class="schedule-table matches-table">
+                <caption>Utakmice - ${category.name} ${currentSeason.label}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">Datum</th>
+                        <th scope="col">Domaćin</th>
+                        <th scope="col">Gost</th>
+                        <th scope="col">Rezultat</th>
+                        <th scope="col">Setovi</th>
+                        <th scope="col">Dvorana</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${matches.map(match => html`
+                        <tr>
+                            <td>${formatMatchDate(match)}</td>
+                            <td>${match.home_team}</td>
+                            <td>${match.away_team}</td>
+                            <td>${match.home_sets === null ? '-' : `${match.home_sets}:${match.away_sets}`}</td>
+                            <td>${match.set_scores || ''}</td>
+                            <td>${match.venue || ''}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// 2024-10-05 and 18:00:00 -> 5.10.2024. 18:00
+function formatMatchDate(match) {
+    const [year, month, day] = match.match_date.split('-').map(Number);
+    const date = `${day}.${month}.${year}.`;
+    return match.match_time ? `${date} ${match.match_time.slice(0, 5)}` : date;
+}
+
+// Placeholders for categories without results
 function getStaticResults() {
-    // Get current year from URL or default to 2024
-    const currentYear = getCurrentYearFromURL();
+    const currentYear = currentSeason ? currentSeason.year : null;
+    const seasonText = currentSeason ? ` za sezonu ${currentSeason.label}` : '';
     
     // Use placeholder SVG for missing results
     const placeholderImage = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjI1MCIgdmlld0JveD0iMCAwIDQwMCAyNTAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSI0MDAiIGhlaWdodD0iMjUwIiBmaWxsPSIjZjNmNGY2Ii8+Cjx0ZXh0IHg9IjIwMCIgeT0iMTI1IiBmb250LWZhbWlseT0iQXJpYWwsIHNhbnMtc2VyaWYiIGZvbnQtc2l6ZT0iMTYiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiPk5lbWEgcmV6dWx0YXRhPC90ZXh0Pgo8L3N2Zz4K';
     
-    return {
-        'mini-odbojka': {
-            title: 'Mini Odbojka',
-            image: placeholderImage,
-            description: `Rezultati Mini Odbojke za sezonu ${getSeasonYear(currentYear)}`,
-            year: currentYear
-        },
-        'djevojcice': {
-            title: 'Djevojčice',
+    const results = {};
+    teamCategories.forEach(category => {
+        results[category.slug] = {
+            title: category.name,
             image: placeholderImage,
-            description: `Rezultati Djevojčica za sezonu ${getSeasonYear(currentYear)}`,
+            description: `Rezultati - ${category.name}${seasonText}`,
             year: currentYear
-        },
-        'mlade-kadetkinje': {
-            title: 'Mlađe Kadetkinje',
-            image: placeholderImage,
-            description: `Rezultati Mlađih Kadetkinja za sezonu ${getSeasonYear(currentYear)}`,
-            year: currentYear
-        }
-    };
+        };
+    });
+    return results;
 }
 
-// Get current year from URL
-function getCurrentYearFromURL() {
-    const path = window.location.pathname;
-    if (path.includes('2022')) {
-        return '2022'; // rezultati-2022.html shows 2022/23 data (stored as year 2022)
-    } else if (path.includes('2023')) {
-        return '2023'; // rezultati-2023.html shows 2023/24 data (stored as year 2023)
-    } else if (path.includes('2024')) {
-        return '2024'; // rezultati-2024.html shows 2024/25 data (stored as year 2024)
-    }
-    return '2024'; // default
+// Get category display name
+function getCategoryName(category) {
+    const team = teamCategories.find(c => c.slug === category);
+    return team ? team.name : category;
 }
 
-// Get season year format
-function getSeasonYear(year) {
-    const yearMap = {
-        '2024': '2024/25',
-        '2023': '2023/24',
-        '2022': '2022/23'
-    };
+// srcset over the thumbnail, display and original variants, so phones download the small file.
+// Sizes with the same width (small uploads are never enlarged) are listed once.
+function getResultImageSrcset(resultId, image) {
+    const widths = image.image_widths || {};
+    const seen = new Set();
     
-    return yearMap[year] || '2024/25';
-}
-
-// Get category display name
-function getCategoryName(category) {
-    const categories = {
-        'mini-odbojka': 'Mini Odbojka',
-        'djevojcice': 'Djevojčice',
-        'mlade-kadetkinje': 'Mlađe Kadetkinje'
-    };
-    return categories[category] || category;
+    return ['thumb', 'display', 'original']
+        .filter(size => widths[size] && !seen.has(widths[size]) && seen.add(widths[size]))
+        .map(size => `/api/results/${resultId}/images/${image.id}?size=${size}&v=${image.image_hash} ${widths[size]}w`)
+        .join(', ');
 }
 
 // Populate result images with data
 function populateResultImages(results) {
     console.log('Populating result images:', results);
+    pageResults = results;
     Object.keys(results).forEach(categoryKey => {
         const imageElement = document.querySelector(`[data-category="${categoryKey}"]`);
         const result = results[categoryKey];
@@ -143,12 +354,19 @@ function populateResultImages(results) {
         console.log(`Setting image for ${categoryKey}:`, result.image);
         
         if (imageElement) {
-            // Update image source
+            // Update image source - the result grid shows three images per row on desktop
+            if (result.srcset) {
+                imageElement.srcset = result.srcset;
+                imageElement.sizes = '(max-width: 768px) 100vw, 33vw';
+            } else {
+                imageElement.removeAttribute('srcset');
+            }
             imageElement.src = result.image;
             imageElement.alt = result.description;
             
             // Add error handling for missing images
             imageElement.onerror = function() {
+                this.removeAttribute('srcset');
                 this.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjI1MCIgdmlld0JveD0iMCAwIDQwMCAyNTAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSI0MDAiIGhlaWdodD0iMjUwIiBmaWxsPSIjZjNmNGY2Ii8+Cjx0ZXh0IHg9IjIwMCIgeT0iMTI1IiBmb250LWZhbWlseT0iQXJpYWwsIHNhbnMtc2VyaWYiIGZvbnQtc2l6ZT0iMTYiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiPk5lbWEgcmV6dWx0YXRhPC90ZXh0Pgo8L3N2Zz4K';
                 this.alt = 'Nema rezultata';
             };
@@ -172,6 +390,16 @@ function setupModalHandlers() {
     if (closeBtn) {
         closeBtn.addEventListener('click', closeModal);
     }
+    
+    // Gallery navigation
+    const prevBtn = document.getElementById('modalPrev');
+    const nextBtn = document.getElementById('modalNext');
+    if (prevBtn) {
+        prevBtn.addEventListener('click', showPreviousImage);
+    }
+    if (nextBtn) {
+        nextBtn.addEventListener('click', showNextImage);
+    }
 }
 
 // Setup keyboard navigation
@@ -182,6 +410,10 @@ function setupKeyboardNavigation() {
         if (modal && modal.style.display === 'block') {
             if (event.key === 'Escape') {
                 closeModal();
+            } else if (event.key === 'ArrowLeft') {
+                showPreviousImage();
+            } else if (event.key === 'ArrowRight') {
+                showNextImage();
             }
         }
     });
@@ -213,25 +445,22 @@ async function viewImage(category, year) {
             throw new Error('Image element not found');
         }
         
-        const result = {
-            title: getCategoryName(category),
-            image: imageElement.src,
-            description: imageElement.alt
-        };
+        // Results without a gallery (placeholders) show the image on the page
+        const result = pageResults[category];
+        modalGallery.title = getCategoryName(category);
+        modalGallery.description = imageElement.alt;
+        modalGallery.images = result && result.images
+            ? result.images
+            : [{ image: imageElement.src, srcset: imageElement.getAttribute('srcset'), caption: null }];
+        modalGallery.index = 0;
         
-        console.log('Opening modal with result:', result);
+        console.log('Opening modal with gallery:', modalGallery);
         
         // Show modal
         const modal = document.getElementById('imageModal');
-        const modalImage = document.getElementById('modalImage');
-        const modalTitle = document.getElementById('modalTitle');
-        const modalDescription = document.getElementById('modalDescription');
         
-        if (modal && modalImage && modalTitle && modalDescription) {
-            modalImage.src = result.image;
-            modalImage.alt = result.description;
-            modalTitle.textContent = result.title;
-            modalDescription.textContent = result.description;
+        if (modal && document.getElementById('modalImage')) {
+            showModalImage(0);
             
             modal.style.display = 'block';
             document.body.style.overflow = 'hidden'; // Prevent background scrolling
@@ -243,6 +472,47 @@ async function viewImage(category, year) {
     }
 }
 
+// Show one image of the modal gallery; the index wraps around at both ends
+function showModalImage(index) {
+    const count = modalGallery.images.length;
+    modalGallery.index = (index + count) % count;
+    const image = modalGallery.images[modalGallery.index];
+    
+    const modalImage = document.getElementById('modalImage');
+    const modalTitle = document.getElementById('modalTitle');
+    const modalDescription = document.getElementById('modalDescription');
+    const modalCaption = document.getElementById('modalCaption');
+    const modalCounter = document.getElementById('modalCounter');
+    
+    // The modal spans the viewport, so the browser picks a larger variant from the same srcset
+    if (image.srcset) {
+        modalImage.srcset = image.srcset;
+        modalImage.sizes = '100vw';
+    } else {
+        modalImage.removeAttribute('srcset');
+    }
+    modalImage.src = image.image;
+    modalImage.alt = image.caption || modalGallery.description;
+    
+    if (modalTitle) modalTitle.textContent = modalGallery.title;
+    if (modalDescription) modalDescription.textContent = modalGallery.description;
+    if (modalCaption) modalCaption.textContent = image.caption || '';
+    if (modalCounter) modalCounter.textContent = count > 1 ? `${modalGallery.index + 1} / ${count}` : '';
+    
+    // Navigation is only shown for galleries with more than one image
+    document.querySelectorAll('.modal-nav').forEach(button => {
+        button.style.display = count > 1 ? 'flex' : 'none';
+    });
+}
+
+function showPreviousImage() {
+    showModalImage(modalGallery.index - 1);
+}
+
+function showNextImage() {
+    showModalImage(modalGallery.index + 1);
+}
+
 // Close modal
 function closeModal() {
     const modal = document.getElementById('imageModal');
@@ -0,0 +1,40 @@
+// Team rosters - player positions and jersey numbers; shared by the browser (results.js, cms.js)
+// and the server (server.js)
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Rosters = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    // Stored position and its name on the site
+    const PLAYER_POSITIONS = {
+        setter: 'Tehničar',
+        opposite: 'Korektor',
+        outside: 'Primač',
+        middle: 'Srednji bloker',
+        libero: 'Libero'
+    };
+
+    const MAX_JERSEY_NUMBER = 99;
+
+    function isValidPosition(position) {
+        return Object.prototype.hasOwnProperty.call(PLAYER_POSITIONS, position);
+    }
+
+    function getPositionName(position) {
+        return PLAYER_POSITIONS[position] || '';
+    }
+
+    function isValidJerseyNumber(number) {
+        return /^\d{1,2}$/.test(String(number)) && Number(number) <= MAX_JERSEY_NUMBER;
+    }
+
+    return {
+        PLAYER_POSITIONS,
+        MAX_JERSEY_NUMBER,
+        isValidPosition,
+        getPositionName,
+        isValidJerseyNumber
+    };
+}));
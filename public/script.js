@@ -5,6 +5,7 @@ document.addEventListener('DOMContentLoaded', function() {
     initDesktopDropdowns();
     initMobileDropdowns();
     initActiveNavigation();
+    updateYearOptions();
     initImageCarousel();
 });
 
@@ -134,18 +135,9 @@ function initActiveNavigation() {
         const href = link.getAttribute('href');
         
         // Check if this link matches the current page
-        if (href === currentPage || 
-            (currentPage === 'index.html' && href === 'index.html') ||
-            (currentPage === 'contact.html' && href === 'contact.html') ||
-            (currentPage === 'dokumenti.html' && href === 'dokumenti.html') ||
-            (currentPage === 'treneri.html' && href === 'treneri.html') ||
-            (currentPage === 'uprava.html' && href === 'uprava.html') ||
-            (currentPage === 'prijatelji.html' && href === 'prijatelji.html') ||
-            (currentPage === 'rezultati-2024.html' && href === 'rezultati-2024.html') ||
-            (currentPage === 'rezultati-2023.html' && href === 'rezultati-2023.html') ||
-            (currentPage === 'rezultati-2022.html' && href === 'rezultati-2022.html') ||
-            // Special case: Rezultati dropdown should be active when on any results page
-            ((currentPage === 'rezultati-2024.html' || currentPage === 'rezultati-2023.html' || currentPage === 'rezultati-2022.html') && 
+        if (href === currentPage ||
+            // Special case: Rezultati dropdown should be active on the results page
+            (currentPage === 'rezultati.html' &&
              (link.getAttribute('data-dropdown') === 'rezultati' || link.getAttribute('data-mobile-dropdown') === 'rezultati'))) {
             link.classList.add('active');
         }
@@ -166,40 +158,52 @@ function initActiveNavigation() {
     });
 }
 
-// Static year options for Rezultati dropdown
-function generateYearOptions() {
-    return ['2024/25', '2023/24', '2022/23'];
+// Published seasons from the API, newest first
+async function fetchPublishedSeasons() {
+    const response = await fetch('/api/seasons');
+    if (!response.ok) {
+        throw new Error('Failed to fetch seasons');
+    }
+    
+    const seasons = await response.json();
+    return seasons.filter(season => season.published);
 }
 
-// Function to update year options (can be called when needed)
-function updateYearOptions() {
-    const rezultatiDropdowns = document.querySelectorAll('.dropdown-menu');
+// Fill the Rezultati dropdowns (desktop and mobile) with one link per published season.
+// The static "Rezultati" link in the HTML stays if the API is unavailable.
+async function updateYearOptions() {
+    const rezultatiDropdowns = document.querySelectorAll('.dropdown-menu, .mobile-dropdown-menu');
+    
+    let seasons;
+    try {
+        seasons = await fetchPublishedSeasons();
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+        return;
+    }
+    
+    const currentSeason = new URLSearchParams(window.location.search).get('sezona');
+    const onResultsPage = (window.location.pathname.split('/').pop() || 'index.html') === 'rezultati.html';
     
     rezultatiDropdowns.forEach(dropdown => {
         const parentNavItem = dropdown.closest('.nav-item, .mobile-nav-item');
-        const navLink = parentNavItem?.querySelector('.nav-link, .mobile-nav-link');
+        const navLink = parentNavItem?.querySelector('[data-dropdown="rezultati"], [data-mobile-dropdown="rezultati"]');
         
-        if (navLink && navLink.textContent.includes('Rezultati')) {
-            const yearOptions = generateYearOptions();
+        if (navLink && seasons.length > 0) {
+            const linkClass = dropdown.classList.contains('mobile-dropdown-menu') ? 'mobile-dropdown-link' : 'dropdown-link';
             dropdown.innerHTML = '';
             
-            yearOptions.forEach(year => {
+            seasons.forEach((season, index) => {
                 const li = document.createElement('li');
                 const a = document.createElement('a');
                 
-                // Map year display to actual file names
-                let href;
-                if (year === '2024/25') {
-                    href = 'rezultati-2024.html';
-                } else if (year === '2023/24') {
-                    href = 'rezultati-2023.html';
-                } else if (year === '2022/23') {
-                    href = 'rezultati-2022.html';
+                a.href = `rezultati.html?sezona=${encodeURIComponent(season.slug)}`;
+                a.textContent = season.label;
+                a.className = linkClass;
+                // Without ?sezona= the results page shows the newest season
+                if (onResultsPage && (currentSeason ? currentSeason === season.slug : index === 0)) {
+                    a.classList.add('active');
                 }
-                
-                a.href = href;
-                a.textContent = year;
-                a.className = 'dropdown-link';
                 li.appendChild(a);
                 dropdown.appendChild(li);
             });
@@ -207,8 +211,6 @@ function updateYearOptions() {
     });
 }
 
-// Year options are now static in HTML, no need to generate dynamically
-
 // Smooth scrolling for anchor links
 document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     anchor.addEventListener('click', function (e) {
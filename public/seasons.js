@@ -0,0 +1,29 @@
+// Season naming - shared by the browser (script.js, results.js, cms.js), the server and the migrations
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Seasons = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    // A season is stored by its starting year, e.g. 2024 for the 2024/25 season
+    function isValidSeasonYear(year) {
+        return /^\d{4}$/.test(String(year));
+    }
+
+    // 2024 -> 2024/25
+    function getSeasonLabel(year) {
+        return `${year}/${String((Number(year) + 1) % 100).padStart(2, '0')}`;
+    }
+
+    // The URL form of a label: 2024/25 -> 2024-25, used by rezultati.html?sezona=
+    function getSeasonSlug(label) {
+        return String(label).trim().toLowerCase().replace(/[^0-9a-z]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    return {
+        isValidSeasonYear,
+        getSeasonLabel,
+        getSeasonSlug
+    };
+}));
@@ -0,0 +1,59 @@
+// Training schedule helpers - shared by the browser (contact page, cms.js) and the server
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Training = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    // ISO weekday numbers, Monday = 1
+    const WEEKDAYS = {
+        1: 'Ponedjeljak',
+        2: 'Utorak',
+        3: 'Srijeda',
+        4: 'Četvrtak',
+        5: 'Petak',
+        6: 'Subota',
+        7: 'Nedjelja'
+    };
+
+    function isValidWeekday(weekday) {
+        return Object.prototype.hasOwnProperty.call(WEEKDAYS, String(weekday)) && Number.isInteger(Number(weekday));
+    }
+
+    function getWeekdayName(weekday) {
+        return WEEKDAYS[weekday] || String(weekday);
+    }
+
+    // ISO weekday of a date (YYYY-MM-DD)
+    function getWeekdayOfDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+    }
+
+    // The next date (YYYY-MM-DD, `fromDate` included) that falls on the weekday
+    function getNextWeekdayDate(weekday, fromDate) {
+        const [year, month, day] = fromDate.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        date.setUTCDate(date.getUTCDate() + (weekday - getWeekdayOfDate(fromDate) + 7) % 7);
+        return date.toISOString().slice(0, 10);
+    }
+
+    // The exception that cancels the slot on the date, if any - exceptions without a slot_id
+    // cancel every training
+    function getCancellation(slot, date, exceptions) {
+        return exceptions.find(exception =>
+            (exception.slot_id === null || exception.slot_id === slot.id) &&
+            exception.start_date <= date && date <= exception.end_date
+        ) || null;
+    }
+
+    return {
+        WEEKDAYS,
+        isValidWeekday,
+        getWeekdayName,
+        getWeekdayOfDate,
+        getNextWeekdayDate,
+        getCancellation
+    };
+}));
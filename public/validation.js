@@ -0,0 +1,139 @@
+// Membership Validation - shared by the browser (membership.js) and the server (server.js)
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MembershipValidation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    // Required text fields of the membership form and their error messages
+    const REQUIRED_FIELDS = {
+        'prezime-ime': 'Unesite ime i prezime člana',
+        'ime-prezime-roditelja': 'Unesite ime i prezime roditelja',
+        'datum-rodjenja': 'Unesite datum rođenja',
+        'datum-upisa': 'Unesite datum upisa',
+        'drzavljanstvo': 'Odaberite državljanstvo',
+        'oib': 'Unesite OIB',
+        'adresa': 'Unesite adresu',
+        'telefon': 'Unesite broj telefona',
+        'email': 'Unesite e-mail adresu'
+    };
+
+    // Consent checkboxes that must be ticked
+    const REQUIRED_CONSENTS = {
+        'uvjeti-clanstva': 'Morate se složiti s uvjetima članstva',
+        'pravila-privatnosti': 'Morate se složiti s pravilima privatnosti'
+    };
+
+    const CITIZENSHIPS = ['hrvatsko', 'strano'];
+
+    // Croatian OIB validation algorithm (ISO 7064, MOD 11,10)
+    function isValidOIB(oib) {
+        if (!/^\d{11}$/.test(oib)) return false;
+
+        let sum = 10;
+        for (let i = 0; i < 10; i++) {
+            sum = (sum + parseInt(oib[i], 10)) % 10;
+            if (sum === 0) sum = 10;
+            sum = (sum * 2) % 11;
+        }
+
+        const checkDigit = (11 - sum) % 10;
+        return checkDigit === parseInt(oib[10], 10);
+    }
+
+    function isValidEmail(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    }
+
+    // Accepts digits with optional leading +, spaces, slashes, dashes and brackets (e.g. 091/123-4567)
+    function isValidPhone(phone) {
+        if (!/^\+?[\d\s\/\-()]+$/.test(phone)) return false;
+        const digits = phone.replace(/\D/g, '');
+        return digits.length >= 6 && digits.length <= 15;
+    }
+
+    // Accepts a real calendar date in YYYY-MM-DD format (the value of <input type="date">)
+    function isValidDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return false;
+
+        const year = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10);
+        const day = parseInt(match[3], 10);
+        const date = new Date(Date.UTC(year, month - 1, day));
+
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    function isChecked(value) {
+        return value === true || value === 'on' || value === 'true';
+    }
+
+    function normalize(value) {
+        return typeof value === 'string' ? value.trim() : '';
+    }
+
+    // Validate a membership payload; returns { valid, errors: { field: message }, values }
+    function validateMembership(data) {
+        const errors = {};
+        const values = {};
+
+        Object.keys(REQUIRED_FIELDS).forEach(field => {
+            values[field] = normalize(data[field]);
+            if (!values[field]) {
+                errors[field] = REQUIRED_FIELDS[field];
+            }
+        });
+        values.napomena = normalize(data.napomena);
+
+        if (values.oib && !isValidOIB(values.oib)) {
+            errors.oib = 'Neispravan OIB';
+        }
+
+        if (values.email && !isValidEmail(values.email)) {
+            errors.email = 'Neispravna e-mail adresa';
+        }
+
+        if (values.telefon && !isValidPhone(values.telefon)) {
+            errors.telefon = 'Neispravan broj telefona';
+        }
+
+        if (values.drzavljanstvo && !CITIZENSHIPS.includes(values.drzavljanstvo)) {
+            errors.drzavljanstvo = 'Odaberite državljanstvo';
+        }
+
+        if (values['datum-rodjenja']) {
+            if (!isValidDate(values['datum-rodjenja'])) {
+                errors['datum-rodjenja'] = 'Neispravan datum rođenja';
+            } else if (values['datum-rodjenja'] > new Date().toISOString().split('T')[0]) {
+                errors['datum-rodjenja'] = 'Datum rođenja ne može biti u budućnosti';
+            }
+        }
+
+        if (values['datum-upisa'] && !isValidDate(values['datum-upisa'])) {
+            errors['datum-upisa'] = 'Neispravan datum upisa';
+        }
+
+        Object.keys(REQUIRED_CONSENTS).forEach(field => {
+            values[field] = isChecked(data[field]);
+            if (!values[field]) {
+                errors[field] = REQUIRED_CONSENTS[field];
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            values
+        };
+    }
+
+    return {
+        isValidOIB,
+        isValidEmail,
+        isValidPhone,
+        isValidDate,
+        validateMembership
+    };
+}));
@@ -0,0 +1,37 @@
+// File storage - result images and document PDFs live outside the database and are addressed by a
+// storage key (e.g. results/<uuid>.jpg). STORAGE_DRIVER selects the backend: 'local' (default) or 's3'.
+//
+// Every driver implements:
+//   put(key, body, { contentType, size })  body is a Buffer or a readable stream
+//   stat(key)                              { size, modifiedAt } or null if the file does not exist
+//   get(key, { start, end })               { size, modifiedAt, stream } or null; start/end select a byte range
+//   remove(key)                            deletes the file, missing files are ignored
+const path = require('path');
+
+function createStorage(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'local';
+
+    if (driver === 'local') {
+        const createLocalStorage = require('./local');
+        return createLocalStorage({
+            root: env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'public', 'assets')
+        });
+    }
+
+    if (driver === 's3') {
+        // Loaded only when used so local installations do not pay for the AWS SDK
+        const createS3Storage = require('./s3');
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" - use "local" or "s3"`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,69 @@
+// Local filesystem storage driver - keys are paths below the storage root
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+function createLocalStorage({ root }) {
+    const storageRoot = path.resolve(root);
+
+    // Keys are generated by the server, but never let one point outside the storage root
+    function resolveKey(key) {
+        const filePath = path.resolve(storageRoot, key);
+        if (!filePath.startsWith(storageRoot + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async function stat(key) {
+        try {
+            const stats = await fs.promises.stat(resolveKey(key));
+            return { size: stats.size, modifiedAt: stats.mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    return {
+        driver: 'local',
+
+        // Write to a temporary file first so a failed upload never leaves a partial file under the key
+        async put(key, body) {
+            const filePath = resolveKey(key);
+            const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            try {
+                if (Buffer.isBuffer(body)) {
+                    await fs.promises.writeFile(tempPath, body);
+                } else {
+                    await pipeline(body, fs.createWriteStream(tempPath));
+                }
+                await fs.promises.rename(tempPath, filePath);
+            } catch (error) {
+                await fs.promises.rm(tempPath, { force: true });
+                throw error;
+            }
+        },
+
+        stat,
+
+        async get(key, range = {}) {
+            const info = await stat(key);
+            if (!info) return null;
+
+            return {
+                ...info,
+                stream: fs.createReadStream(resolveKey(key), { start: range.start, end: range.end })
+            };
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,78 @@
+// S3-compatible storage driver (AWS S3, Cloudflare R2, MinIO...). Set S3_ENDPOINT and
+// S3_FORCE_PATH_STYLE=true for services other than AWS, e.g. a local MinIO stand-in.
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        // Without explicit keys the SDK falls back to its default credential chain
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        driver: 's3',
+
+        async put(key, body, { contentType, size } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                // Streams need an explicit length for a single PUT
+                ContentLength: Buffer.isBuffer(body) ? body.length : size
+            }));
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: head.ContentLength, modifiedAt: head.LastModified };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async get(key, range = {}) {
+            const params = { Bucket: bucket, Key: key };
+            if (range.start !== undefined) {
+                params.Range = `bytes=${range.start}-${range.end !== undefined ? range.end : ''}`;
+            }
+
+            try {
+                const object = await client.send(new GetObjectCommand(params));
+                // For a range request ContentLength is the part only - the full size is in Content-Range
+                const size = object.ContentRange
+                    ? parseInt(object.ContentRange.split('/')[1], 10)
+                    : object.ContentLength;
+                return { size, modifiedAt: object.LastModified, stream: object.Body };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
+
+module.exports = createS3Storage;
@@ -0,0 +1,65 @@
+// Sending stored files over HTTP - conditional requests, byte ranges and cache headers for files of
+// any storage driver (see index.js)
+
+// File URLs carrying the current content hash (?v=<hash>) never change and may be cached for a year;
+// plain URLs must be revalidated with the ETag on every use
+const CACHE_CONTROL_VERSIONED = 'public, max-age=31536000, immutable';
+const CACHE_CONTROL_REVALIDATE = 'public, no-cache';
+
+// Returns sendStoredFile(req, res, file, headers) reading from `storage`; file is
+// { key, hash, updatedAt, size, version }
+function createFileSender(storage) {
+    // Stream a stored file with conditional request (ETag / Last-Modified -> 304) and single Range support.
+    // file.version is the hash expected in ?v= when it differs from the file's own hash (image variants).
+    return async function sendStoredFile(req, res, file, headers) {
+        const etag = `"${file.hash}"`;
+        const lastModified = new Date(file.updatedAt).toUTCString();
+
+        res.set({
+            ...headers,
+            'ETag': etag,
+            'Last-Modified': lastModified,
+            'Cache-Control': req.query.v === (file.version || file.hash) ? CACHE_CONTROL_VERSIONED : CACHE_CONTROL_REVALIDATE,
+            'Accept-Ranges': 'bytes'
+        });
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        // A Range is only honoured for the representation named in If-Range (if sent); multiple ranges get the full file
+        const ifRange = req.get('If-Range');
+        const ranges = req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified)
+            ? req.range(file.size, { combine: true })
+            : undefined;
+
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${file.size}`);
+            return res.status(416).end();
+        }
+
+        const range = Array.isArray(ranges) && ranges.length === 1 ? ranges[0] : null;
+        const stored = await storage.get(file.key, range ? { start: range.start, end: range.end } : {});
+        if (!stored) {
+            return res.status(404).json({ error: 'File not found in storage' });
+        }
+
+        if (range) {
+            res.status(206);
+            res.set({
+                'Content-Range': `bytes ${range.start}-${range.end}/${file.size}`,
+                'Content-Length': range.end - range.start + 1
+            });
+        } else {
+            res.set('Content-Length', file.size);
+        }
+
+        stored.stream.on('error', (error) => {
+            console.error(`Storage error reading ${file.key}:`, error);
+            res.destroy(error);
+        });
+        stored.stream.pipe(res);
+    };
+}
+
+module.exports = { CACHE_CONTROL_VERSIONED, CACHE_CONTROL_REVALIDATE, createFileSender };
@@ -0,0 +1,34 @@
+// CSV export (csv.js) - spreadsheet formulas in text cells must not run
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCsv } = require('../csv');
+
+const COLUMNS = [{ key: 'name', label: 'Ime' }, { key: 'value', label: 'Vrijednost' }];
+
+function getRows(csv) {
+    return csv.replace(/^﻿/, '').split('\r\n').slice(1, -1);
+}
+
+test('the export starts with a byte order mark and uses semicolons and decimal commas', () => {
+    const csv = buildCsv(COLUMNS, [{ name: 'Ana', value: 87.5 }]);
+    assert.ok(csv.startsWith('﻿Ime;Vrijednost\r\n'));
+    assert.deepEqual(getRows(csv), ['Ana;87,5']);
+});
+
+test('text that a spreadsheet would run as a formula gets a leading quote', () => {
+    const rows = ['=1+1', '+385', '-x', '@SUM(A1)', '\tx'].map(name => ({ name, value: 1 }));
+    assert.deepEqual(getRows(buildCsv(COLUMNS, rows)), ["'=1+1;1", "'+385;1", "'-x;1", "'@SUM(A1);1", "'\tx;1"]);
+});
+
+test('a formula after a carriage return is quoted as well', () => {
+    const csv = buildCsv(COLUMNS, [{ name: '\r=HYPERLINK("x")', value: 1 }]);
+    assert.ok(csv.includes('"\'\r=HYPERLINK(""x"")";1'));
+});
+
+test('numbers are written as they are, also negative ones', () => {
+    assert.deepEqual(getRows(buildCsv(COLUMNS, [{ name: 'Ana', value: -3.5 }])), ['Ana;-3,5']);
+});
+
+test('values with the delimiter or quotes are quoted', () => {
+    assert.deepEqual(getRows(buildCsv(COLUMNS, [{ name: 'a;b "c"', value: null }])), ['"a;b ""c""";']);
+});
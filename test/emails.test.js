@@ -0,0 +1,42 @@
+// Notification emails (emails.js) - submitted values must not become markup
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMembershipEmail } = require('../emails');
+
+const APPLICATION = {
+    'prezime-ime': 'Horvat Ana',
+    'ime-prezime-roditelja': 'Ivan Horvat',
+    'datum-rodjenja': '2012-05-01',
+    'datum-upisa': '2026-10-01',
+    drzavljanstvo: 'hrvatsko',
+    oib: '12345678903',
+    adresa: 'Ulica 1, 52212 Fažana',
+    telefon: '+385 91 000 0000',
+    email: 'ana@example.com',
+    napomena: ''
+};
+
+test('the membership email lists the application', () => {
+    const email = buildMembershipEmail(APPLICATION, 17);
+    assert.match(email, /<strong>Ime i prezime:<\/strong> Horvat Ana<\/p>/);
+    assert.match(email, /<strong>Državljanstvo:<\/strong> Hrvatsko<\/p>/);
+    assert.match(email, /Prijava br\. 17 je spremljena/);
+    assert.doesNotMatch(email, /Napomena/);
+});
+
+test('the membership email escapes every submitted value', () => {
+    const hostile = '<script>alert("x")</script>';
+    const email = buildMembershipEmail({
+        ...APPLICATION,
+        'prezime-ime': hostile,
+        'ime-prezime-roditelja': '<img src=x onerror=alert(1)>',
+        adresa: `'\`"&`,
+        email: '"><a href="https://evil.example">',
+        napomena: hostile
+    }, 17);
+
+    assert.doesNotMatch(email, /<script|<img|<a /);
+    assert.match(email, /<strong>Ime i prezime:<\/strong> &lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;<\/p>/);
+    assert.match(email, /<strong>Adresa:<\/strong> &#39;&#96;&quot;&amp;<\/p>/);
+    assert.match(email, /<h3>Napomena<\/h3>\s*<p>&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;<\/p>/);
+});
@@ -0,0 +1,60 @@
+// HTML templating (public/html.js) - every interpolated value is escaped unless marked safe
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, raw, html } = require('../public/html');
+
+test('escapeHtml escapes markup, both quotes and the backtick', () => {
+    assert.equal(escapeHtml('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    assert.equal(escapeHtml('"double"'), '&quot;double&quot;');
+    assert.equal(escapeHtml("'single'"), '&#39;single&#39;');
+    assert.equal(escapeHtml('`backtick`'), '&#96;backtick&#96;');
+    assert.equal(escapeHtml('Tom & Jerry'), 'Tom &amp; Jerry');
+});
+
+test('escapeHtml escapes an entity once more instead of decoding it', () => {
+    assert.equal(escapeHtml('&lt;b&gt;'), '&amp;lt;b&amp;gt;');
+});
+
+test('escapeHtml turns null and undefined into an empty string and other values into text', () => {
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(0), '0');
+    assert.equal(escapeHtml(false), 'false');
+});
+
+test('html escapes interpolated values in content and attributes', () => {
+    const title = '<img src=x onerror=alert(1)>';
+    const link = '" onmouseover="alert(1)';
+    assert.equal(
+        html`<a href="${link}">${title}</a>`.toString(),
+        '<a href="&quot; onmouseover=&quot;alert(1)">&lt;img src=x onerror=alert(1)&gt;</a>'
+    );
+    assert.equal(html`<p title='${"' onclick='alert(1)"}'></p>`.toString(), "<p title='&#39; onclick=&#39;alert(1)'></p>");
+    assert.equal(html`<p>${'`${alert(1)}`'}</p>`.toString(), '<p>&#96;${alert(1)}&#96;</p>');
+});
+
+test('html keeps the markup of the template itself', () => {
+    assert.equal(html`<p class="note">Text</p>`.toString(), '<p class="note">Text</p>');
+});
+
+test('nested html results are inserted once, with their own values escaped', () => {
+    const item = name => html`<li>${name}</li>`;
+    assert.equal(html`<ul>${item('<b>')}</ul>`.toString(), '<ul><li>&lt;b&gt;</li></ul>');
+    assert.equal(
+        html`<ul>${['<a>', '<b>'].map(item)}</ul>`.toString(),
+        '<ul><li>&lt;a&gt;</li><li>&lt;b&gt;</li></ul>'
+    );
+});
+
+test('arrays of plain values are escaped', () => {
+    assert.equal(html`<p>${['<a>', '<b>']}</p>`.toString(), '<p>&lt;a&gt;&lt;b&gt;</p>');
+});
+
+test('raw inserts trusted markup as it is', () => {
+    const icon = raw('<svg viewBox="0 0 1 1"></svg>');
+    assert.equal(html`<span>${icon}</span>`.toString(), '<span><svg viewBox="0 0 1 1"></svg></span>');
+});
+
+test('null and undefined values render as nothing', () => {
+    assert.equal(html`<p>${null}${undefined}</p>`.toString(), '<p></p>');
+});
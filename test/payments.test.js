@@ -0,0 +1,36 @@
+// Bank statement import (payments.js) - each statement line is recorded once
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBankStatement } = require('../payments');
+const { getFeeReference } = require('../public/fees');
+
+const REFERENCE = getFeeReference(3, 42, '2026-10');
+
+function buildStatement(lines) {
+    return Buffer.from(['Datum valute;Iznos;Poziv na broj;Naziv platitelja;Opis plaćanja', ...lines].join('\r\n'));
+}
+
+test('incoming payments are read with their HR01 reference', () => {
+    const { entries } = parseBankStatement(buildStatement([
+        `18.10.2026.;25,00;HR01 ${REFERENCE};Ana Anić;Članarina`,
+        '18.10.2026.;-10,00;;Banka;Naknada'
+    ]));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].date, '2026-10-18');
+    assert.equal(entries[0].amount_cents, 2500);
+    assert.equal(entries[0].reference, REFERENCE);
+    assert.equal(entries[0].payer, 'Ana Anić');
+});
+
+test('identical lines get different import keys, which stay the same on a second import', () => {
+    const line = `18.10.2026.;25,00;HR01 ${REFERENCE};Ana Anić;Članarina`;
+    const first = parseBankStatement(buildStatement([line, line]));
+    const second = parseBankStatement(buildStatement([line, line]));
+    assert.equal(first.entries.length, 2);
+    assert.notEqual(first.entries[0].import_key, first.entries[1].import_key);
+    assert.deepEqual(second.entries.map(entry => entry.import_key), first.entries.map(entry => entry.import_key));
+});
+
+test('a statement without date and amount columns is rejected', () => {
+    assert.ok(parseBankStatement(Buffer.from('Naziv;Opis\r\nAna;Članarina')).error);
+});
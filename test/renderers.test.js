@@ -0,0 +1,140 @@
+// Browser renderers with hostile content - the values must end up as text, never as markup
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const HOSTILE_TEXT = '<img src=x onerror="window.injected = true">"\'`<script>window.injected = true</script>';
+const HOSTILE_IMAGE = { id: 9, image_filename: HOSTILE_TEXT, image_hash: 'abc', caption: HOSTILE_TEXT };
+
+// The scripts of a page in public/, in the order of its <script> tags
+function getPageScripts(page) {
+    const source = fs.readFileSync(path.join(PUBLIC_DIR, page), 'utf8');
+    return Array.from(source.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+}
+
+// `body` with the scripts of `page` run in order, after the page has loaded so their
+// DOMContentLoaded init does not fetch anything
+async function loadPage(page, body) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        virtualConsole
+    });
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    const run = (code) => {
+        const script = window.document.createElement('script');
+        script.textContent = code;
+        window.document.body.appendChild(script);
+        if (errors.length > 0) throw errors[0];
+    };
+    getPageScripts(page).forEach(file => run(fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8')));
+
+    return { window, run };
+}
+
+function assertNoInjectedMarkup(window, element) {
+    assert.equal(element.querySelector('img:not(.result-image), script'), null);
+    assert.equal(window.injected, undefined);
+}
+
+test('documents.js createDocumentElement shows a hostile title as text', async () => {
+    const { window } = await loadPage('dokumenti.html', '');
+    const element = window.createDocumentElement({
+        id: 5,
+        title: HOSTILE_TEXT,
+        date: '2026-10-01',
+        filename: '"><img src=x onerror="window.injected = true">.pdf',
+        fileUrl: '/api/documents/5/file'
+    });
+    window.document.body.appendChild(element);
+
+    assertNoInjectedMarkup(window, element);
+    assert.equal(element.querySelector('h4').textContent, HOSTILE_TEXT);
+
+    const link = element.querySelector('a.download-btn');
+    assert.equal(link.getAttribute('href'), '/api/documents/5/file');
+    assert.equal(link.dataset.filename, '"><img src=x onerror="window.injected = true">.pdf');
+    assert.equal(link.dataset.id, '5');
+});
+
+test('cms.js result rows show a hostile category and description as text', async () => {
+    const { window } = await loadPage('cms.html', '<div id="resultsGrid"></div>');
+    window.renderResults([{
+        id: 3,
+        category: HOSTILE_TEXT,
+        year: '2024',
+        description: HOSTILE_TEXT,
+        imageUrl: '/api/results/3/image',
+        images: [HOSTILE_IMAGE]
+    }]);
+
+    const grid = window.document.getElementById('resultsGrid');
+    assertNoInjectedMarkup(window, grid);
+    assert.equal(grid.querySelectorAll('.result-item').length, 1);
+    assert.ok(grid.querySelector('h4').textContent.startsWith(HOSTILE_TEXT));
+    assert.equal(grid.querySelector('.result-info p').textContent, HOSTILE_TEXT);
+    assert.equal(grid.querySelector('img.result-image').getAttribute('alt'), HOSTILE_TEXT);
+    assert.equal(grid.querySelector('.btn-delete').getAttribute('onclick'), 'deleteResult(3)');
+});
+
+test('cms.js result gallery shows a hostile caption as text', async () => {
+    const { window } = await loadPage('cms.html', '<div id="resultGallerySection"><ul id="resultGallery"></ul></div>');
+    window.renderResultGallery({ id: 3, images: [HOSTILE_IMAGE] });
+
+    const gallery = window.document.getElementById('resultGallery');
+    assert.equal(gallery.querySelectorAll('li').length, 1);
+    assert.equal(gallery.querySelectorAll('img').length, 1);
+    assert.equal(gallery.querySelector('script'), null);
+    assert.equal(window.injected, undefined);
+    assert.equal(gallery.querySelector('img').getAttribute('alt'), HOSTILE_TEXT);
+    assert.equal(gallery.querySelector('input').value, HOSTILE_TEXT);
+});
+
+test('cms.js document rows show a hostile title, category and description as text', async () => {
+    const { window } = await loadPage('cms.html', '<div id="documentsList"></div>');
+    window.renderDocuments([{
+        id: 5,
+        title: HOSTILE_TEXT,
+        category: HOSTILE_TEXT,
+        description: HOSTILE_TEXT,
+        uploadDate: '2026-10-01T10:00:00Z'
+    }]);
+
+    const list = window.document.getElementById('documentsList');
+    assertNoInjectedMarkup(window, list);
+    assert.equal(list.querySelectorAll('.document-item').length, 1);
+    assert.equal(list.querySelector('h4').textContent, HOSTILE_TEXT);
+    assert.match(list.querySelector('.document-meta').textContent, /<img src=x onerror="window\.injected = true">/);
+    assert.equal(list.querySelector('.document-info p').textContent, HOSTILE_TEXT);
+    assert.equal(list.querySelector('.btn-delete').getAttribute('onclick'), 'deleteDocument(5)');
+});
+
+test('cms.js article rows show a hostile title, cover filename and excerpt as text', async () => {
+    const { window, run } = await loadPage('cms.html', '<div id="articlesList"></div><button id="articlesMore"></button>');
+    window.hostileArticle = {
+        id: 7,
+        title: HOSTILE_TEXT,
+        slug: 'novost',
+        status: 'draft',
+        published_at: null,
+        cover_filename: HOSTILE_TEXT,
+        excerpt: HOSTILE_TEXT
+    };
+    run('articles = [window.hostileArticle]; articlesTotal = 1; renderArticles();');
+
+    const list = window.document.getElementById('articlesList');
+    assertNoInjectedMarkup(window, list);
+    assert.equal(list.querySelectorAll('.document-item').length, 1);
+    assert.ok(list.querySelector('h4').textContent.startsWith(HOSTILE_TEXT));
+    assert.ok(list.querySelector('.document-meta').textContent.includes(HOSTILE_TEXT));
+    assert.equal(list.querySelector('.document-info p').textContent, HOSTILE_TEXT);
+});
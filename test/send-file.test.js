@@ -0,0 +1,168 @@
+// sendStoredFile against the local storage driver: conditional requests, ranges and cache headers
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const createLocalStorage = require('../storage/local');
+const { CACHE_CONTROL_VERSIONED, CACHE_CONTROL_REVALIDATE, createFileSender } = require('../storage/send');
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const FILE = {
+    key: 'documents/test.pdf',
+    hash: 'abc123',
+    updatedAt: new Date('2026-10-01T12:00:00Z'),
+    size: CONTENT.length
+};
+const ETAG = `"${FILE.hash}"`;
+const LAST_MODIFIED = FILE.updatedAt.toUTCString();
+
+let root;
+let server;
+let baseUrl;
+
+before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'send-file-'));
+    const storage = createLocalStorage({ root });
+    await storage.put(FILE.key, CONTENT);
+
+    const sendStoredFile = createFileSender(storage);
+    const app = express();
+    app.get('/file', (req, res) => sendStoredFile(req, res, FILE, { 'Content-Type': 'application/pdf' }));
+    app.get('/variant', (req, res) => sendStoredFile(req, res, { ...FILE, version: 'source456' }));
+    app.get('/missing', (req, res) => sendStoredFile(req, res, { ...FILE, key: 'documents/missing.pdf' }));
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.promises.rm(root, { recursive: true, force: true });
+});
+
+// Plain http rather than fetch, which adds Cache-Control: no-cache to conditional requests
+function get(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${url}`, { headers }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                body: Buffer.concat(chunks)
+            }));
+        }).on('error', reject);
+    });
+}
+
+test('sends the whole file with its validators', async () => {
+    const response = await get('/file');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['etag'], ETAG);
+    assert.equal(response.headers['last-modified'], LAST_MODIFIED);
+    assert.equal(response.headers['content-type'], 'application/pdf');
+    assert.equal(response.headers['content-length'], String(CONTENT.length));
+    assert.equal(response.headers['accept-ranges'], 'bytes');
+    assert.deepEqual(response.body, CONTENT);
+});
+
+test('If-None-Match with the current ETag returns 304', async () => {
+    const response = await get('/file', { 'If-None-Match': ETAG });
+    assert.equal(response.status, 304);
+    assert.equal(response.headers['etag'], ETAG);
+});
+
+test('If-None-Match with another ETag returns the file', async () => {
+    const response = await get('/file', { 'If-None-Match': '"other"' });
+    assert.equal(response.status, 200);
+});
+
+test('If-Modified-Since at the last modification returns 304', async () => {
+    const response = await get('/file', { 'If-Modified-Since': LAST_MODIFIED });
+    assert.equal(response.status, 304);
+});
+
+test('If-Modified-Since before the last modification returns the file', async () => {
+    const response = await get('/file', { 'If-Modified-Since': new Date('2026-09-01T00:00:00Z').toUTCString() });
+    assert.equal(response.status, 200);
+});
+
+test('a single Range returns 206 with that part', async () => {
+    const response = await get('/file', { 'Range': 'bytes=5-9' });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers['content-range'], `bytes 5-9/${CONTENT.length}`);
+    assert.equal(response.headers['content-length'], '5');
+    assert.equal(response.body.toString(), '56789');
+});
+
+test('an open-ended and a suffix Range return the end of the file', async () => {
+    const openEnded = await get('/file', { 'Range': 'bytes=15-' });
+    assert.equal(openEnded.status, 206);
+    assert.equal(openEnded.headers['content-range'], `bytes 15-19/${CONTENT.length}`);
+    assert.equal(openEnded.body.toString(), 'fghij');
+
+    const suffix = await get('/file', { 'Range': 'bytes=-3' });
+    assert.equal(suffix.status, 206);
+    assert.equal(suffix.headers['content-range'], `bytes 17-19/${CONTENT.length}`);
+    assert.equal(suffix.body.toString(), 'hij');
+});
+
+test('an unsatisfiable Range returns 416', async () => {
+    const response = await get('/file', { 'Range': `bytes=${CONTENT.length}-` });
+    assert.equal(response.status, 416);
+    assert.equal(response.headers['content-range'], `bytes */${CONTENT.length}`);
+});
+
+test('several ranges return the whole file', async () => {
+    const response = await get('/file', { 'Range': 'bytes=0-1,5-6' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, CONTENT);
+});
+
+test('If-Range with the current ETag or date honours the Range', async () => {
+    const byEtag = await get('/file', { 'Range': 'bytes=0-3', 'If-Range': ETAG });
+    assert.equal(byEtag.status, 206);
+    assert.equal(byEtag.body.toString(), '0123');
+
+    const byDate = await get('/file', { 'Range': 'bytes=0-3', 'If-Range': LAST_MODIFIED });
+    assert.equal(byDate.status, 206);
+});
+
+test('If-Range that does not match returns 200 with the whole file', async () => {
+    const response = await get('/file', { 'Range': 'bytes=0-3', 'If-Range': '"stale"' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-range'], undefined);
+    assert.deepEqual(response.body, CONTENT);
+});
+
+test('?v= with the current hash is cached as immutable', async () => {
+    const response = await get(`/file?v=${FILE.hash}`);
+    assert.equal(response.headers['cache-control'], CACHE_CONTROL_VERSIONED);
+    assert.match(CACHE_CONTROL_VERSIONED, /immutable/);
+});
+
+test('plain URLs and ?v= with another hash must be revalidated', async () => {
+    const plain = await get('/file');
+    assert.equal(plain.headers['cache-control'], CACHE_CONTROL_REVALIDATE);
+    assert.match(CACHE_CONTROL_REVALIDATE, /no-cache/);
+
+    const stale = await get('/file?v=old');
+    assert.equal(stale.headers['cache-control'], CACHE_CONTROL_REVALIDATE);
+});
+
+test('?v= of a variant is its version, not its own hash', async () => {
+    const versioned = await get('/variant?v=source456');
+    assert.equal(versioned.headers['cache-control'], CACHE_CONTROL_VERSIONED);
+
+    const ownHash = await get(`/variant?v=${FILE.hash}`);
+    assert.equal(ownHash.headers['cache-control'], CACHE_CONTROL_REVALIDATE);
+});
+
+test('a file missing from storage returns 404', async () => {
+    const response = await get('/missing');
+    assert.equal(response.status, 404);
+    assert.deepEqual(JSON.parse(response.body), { error: 'File not found in storage' });
+});
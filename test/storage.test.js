@@ -0,0 +1,142 @@
+// The storage driver contract (see storage/index.js), run against the local driver and, when
+// S3_ENDPOINT and the other S3_* variables are set, against that S3-compatible service
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createStorage } = require('../storage');
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Runs the contract against the storage returned by setup(); keys are created below a random
+// prefix, so runs against a shared bucket do not collide, and removed afterwards
+function describeStorageContract(name, { setup, teardown, skip }) {
+    describe(name, { skip }, () => {
+        const prefix = `test/${crypto.randomBytes(6).toString('hex')}`;
+        const keys = [];
+        let storage;
+
+        function getKey(name) {
+            const key = `${prefix}/${name}`;
+            keys.push(key);
+            return key;
+        }
+
+        before(async () => {
+            storage = await setup();
+        });
+
+        after(async () => {
+            if (storage) {
+                await Promise.all(keys.map(key => storage.remove(key)));
+            }
+            if (teardown) await teardown();
+        });
+
+        test('put stores a buffer that stat and get return', async () => {
+            const key = getKey('buffer.txt');
+            await storage.put(key, CONTENT, { contentType: 'text/plain', size: CONTENT.length });
+
+            const info = await storage.stat(key);
+            assert.equal(info.size, CONTENT.length);
+            assert.ok(info.modifiedAt instanceof Date);
+
+            const stored = await storage.get(key);
+            assert.equal(stored.size, CONTENT.length);
+            assert.ok(stored.modifiedAt instanceof Date);
+            assert.deepEqual(await readStream(stored.stream), CONTENT);
+        });
+
+        test('put stores a stream', async () => {
+            const key = getKey('stream.txt');
+            await storage.put(key, Readable.from([CONTENT]), { contentType: 'text/plain', size: CONTENT.length });
+
+            const stored = await storage.get(key);
+            assert.deepEqual(await readStream(stored.stream), CONTENT);
+        });
+
+        test('put replaces an existing file', async () => {
+            const key = getKey('replaced.txt');
+            await storage.put(key, CONTENT, { size: CONTENT.length });
+            await storage.put(key, Buffer.from('new'), { size: 3 });
+
+            assert.equal((await storage.stat(key)).size, 3);
+            assert.equal((await readStream((await storage.get(key)).stream)).toString(), 'new');
+        });
+
+        test('get with a byte range returns that part and the full size', async () => {
+            const key = getKey('range.txt');
+            await storage.put(key, CONTENT, { size: CONTENT.length });
+
+            const part = await storage.get(key, { start: 5, end: 9 });
+            assert.equal(part.size, CONTENT.length);
+            assert.equal((await readStream(part.stream)).toString(), '56789');
+
+            const first = await storage.get(key, { start: 0, end: 0 });
+            assert.equal((await readStream(first.stream)).toString(), '0');
+
+            const rest = await storage.get(key, { start: 15 });
+            assert.equal((await readStream(rest.stream)).toString(), 'fghij');
+        });
+
+        test('remove deletes the file', async () => {
+            const key = getKey('removed.txt');
+            await storage.put(key, CONTENT, { size: CONTENT.length });
+            await storage.remove(key);
+
+            assert.equal(await storage.stat(key), null);
+            assert.equal(await storage.get(key), null);
+        });
+
+        test('missing keys give null and are ignored by remove', async () => {
+            const key = getKey('missing.txt');
+            assert.equal(await storage.stat(key), null);
+            assert.equal(await storage.get(key), null);
+            assert.equal(await storage.get(key, { start: 0, end: 3 }), null);
+            await storage.remove(key);
+        });
+    });
+}
+
+let localRoot;
+
+describeStorageContract('local storage driver', {
+    async setup() {
+        localRoot = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+        return createStorage({ STORAGE_DRIVER: 'local', STORAGE_LOCAL_DIR: localRoot });
+    },
+    async teardown() {
+        await fs.promises.rm(localRoot, { recursive: true, force: true });
+    }
+});
+
+describeStorageContract('s3 storage driver', {
+    skip: !process.env.S3_ENDPOINT && 'S3_ENDPOINT is not set',
+    setup() {
+        return createStorage({ ...process.env, STORAGE_DRIVER: 's3' });
+    }
+});
+
+describe('local storage driver keys', () => {
+    test('keys outside the storage root are rejected', async () => {
+        const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+        const storage = createStorage({ STORAGE_DRIVER: 'local', STORAGE_LOCAL_DIR: root });
+        try {
+            await assert.rejects(storage.put('../outside.txt', CONTENT), /Invalid storage key/);
+            await assert.rejects(storage.stat('../../etc/passwd'), /Invalid storage key/);
+        } finally {
+            await fs.promises.rm(root, { recursive: true, force: true });
+        }
+    });
+});